@@ -0,0 +1,442 @@
+// abilities.js
+
+/**
+ * Active powers on the ability bar (hotkeys 1-5 in the order of ABILITY_TYPES).
+ *
+ * Each power is a subclass with its own static `stats` (name, icon, cost, cooldown,
+ * targeting) and overrides the hooks it needs:
+ *   - activate(target, direction)  does the thing; returns false to refuse (nothing is charged)
+ *   - update(dt)                   ongoing work after activation, on the simulation clock
+ *   - reset()                      drops anything still running (new run or loaded save)
+ *
+ * `targeting` decides how the player aims: 'point' shows a `radius` disc under the
+ * crosshair, 'line' a `length` x `width` strip along the view direction. `direction` is
+ * the horizontal direction the player is looking in.
+ */
+class Ability {
+    static key = 'ability';
+    static cooldownOnUse = true; // False for powers that start their cooldown themselves
+
+    static stats = {
+        name: 'ABILITY',
+        icon: '✨',
+        cost: 0,
+        cooldown: 10000, // ms
+        targeting: 'point',
+        radius: 5
+    };
+
+    constructor(game) {
+        this.game = game;
+        this.readyAt = 0; // Sim time the cooldown ends
+    }
+
+    get stats() {
+        return this.constructor.stats;
+    }
+
+    get ready() {
+        return this.game.clock.time >= this.readyAt;
+    }
+
+    /** Share of the cooldown still to run, 1 right after use and 0 when ready */
+    get cooldownRemaining() {
+        return Math.max(0, Math.min(1, (this.readyAt - this.game.clock.time) / this.stats.cooldown));
+    }
+
+    startCooldown() {
+        this.readyAt = this.game.clock.time + this.stats.cooldown;
+    }
+
+    /**
+     * Pays for and activates the power. Returns true if it was used.
+     * @param {BABYLON.Vector3} target Ground point under the crosshair
+     * @param {BABYLON.Vector3} direction Horizontal unit vector the player is facing
+     */
+    use(target, direction) {
+        const game = this.game;
+        if (!this.ready) {
+            console.log(`⏳ ${this.stats.name} is not ready yet`);
+            return false;
+        }
+        if (game.gold < this.stats.cost) {
+            console.log("💰 Need $" + (this.stats.cost - game.gold) + " more gold!");
+            return false;
+        }
+        if (!this.activate(target, direction)) return false;
+
+        game.spendGold(this.stats.cost);
+        if (this.constructor.cooldownOnUse) this.startCooldown();
+        console.log(`${this.stats.icon} ${this.stats.name} used for ${this.stats.cost}!`);
+        game.updateUI();
+        return true;
+    }
+
+    activate(target, direction) {
+        return true;
+    }
+
+    update(dt) {}
+
+    reset() {
+        this.readyAt = 0;
+    }
+
+    /**
+     * Plain data for save games
+     */
+    serialize() {
+        return { readyAt: this.readyAt };
+    }
+
+    restore(saved) {
+        this.readyAt = saved.readyAt;
+    }
+}
+
+// Calls in the craft from airstrike.js; the cooldown starts once its ordnance lands
+class PlayerAttack extends Ability {
+    static key = 'playerAttack';
+    static cooldownOnUse = false;
+    static stats = {
+        name: 'PLAYER ATTACK',
+        icon: '🛸',
+        cost: 350,
+        cooldown: 40000,
+        targeting: 'point',
+        radius: 10,
+        damage: 220,
+        damageType: 'explosive'
+    };
+
+    get ready() {
+        return super.ready && this.game.airstrikes.length === 0;
+    }
+
+    // A strike in flight shows as a full cooldown
+    get cooldownRemaining() {
+        return this.game.airstrikes.length > 0 ? 1 : super.cooldownRemaining;
+    }
+
+    activate(target, direction) {
+        this.game.launchAirstrike(target, direction);
+        return true;
+    }
+}
+
+// Knocks out every enemy in the blast radius for a few seconds
+class Emp extends Ability {
+    static key = 'emp';
+    static stats = {
+        name: 'EMP',
+        icon: '🌀',
+        cost: 150,
+        cooldown: 30000,
+        targeting: 'point',
+        radius: 12,
+        stunDuration: 2500 // ms
+    };
+
+    constructor(game) {
+        super(game);
+        this.pulse = null; // { mesh, age } while the shockwave is drawn
+    }
+
+    activate(target) {
+        const game = this.game;
+        let stunned = 0;
+        for (let enemy of game.spatial.queryRadius('enemy', target, this.stats.radius)) {
+            if (enemy.health <= 0) continue;
+            if (enemy.effects.apply('stun', 1, this.stats.stunDuration, game.clock.time)) stunned++;
+        }
+        console.log(`🌀 EMP stunned ${stunned} enemies`);
+
+        if (!game.headless) {
+            this.disposePulse();
+            const mesh = BABYLON.MeshBuilder.CreateSphere("empPulse", { diameter: 2, segments: 16 }, game.scene);
+            mesh.position = target.clone();
+            mesh.isPickable = false;
+            const material = new BABYLON.StandardMaterial("empPulseMat", game.scene);
+            material.emissiveColor = new BABYLON.Color3(0.4, 0.8, 1);
+            material.disableLighting = true;
+            material.alpha = 0.5;
+            mesh.material = material;
+            this.pulse = { mesh: mesh, age: 0 };
+        }
+        return true;
+    }
+
+    update(dt) {
+        if (!this.pulse) return;
+        this.pulse.age += dt;
+        const progress = this.pulse.age / 0.5; // Seconds to reach the edge
+        if (progress >= 1) {
+            this.disposePulse();
+            return;
+        }
+        this.pulse.mesh.scaling.setAll(this.stats.radius * progress);
+        this.pulse.mesh.material.alpha = 0.5 * (1 - progress);
+    }
+
+    disposePulse() {
+        if (!this.pulse) return;
+        this.pulse.mesh.dispose();
+        this.pulse = null;
+    }
+
+    reset() {
+        super.reset();
+        this.disposePulse();
+    }
+}
+
+// Burns a strip of ground along the player's view
+class OrbitalLaser extends Ability {
+    static key = 'orbitalLaser';
+    static stats = {
+        name: 'ORBITAL LASER',
+        icon: '☄️',
+        cost: 250,
+        cooldown: 35000,
+        targeting: 'line',
+        length: 40,
+        width: 3,
+        damage: 300,
+        damageType: 'energy',
+        effects: [{ kind: 'burn', magnitude: 15, duration: 3000 }]
+    };
+
+    constructor(game) {
+        super(game);
+        this.beam = null; // { mesh, age } while the beam fades
+    }
+
+    activate(target, direction) {
+        const game = this.game;
+        const half = direction.scale(this.stats.length / 2);
+        const from = target.subtract(half);
+        const to = target.add(half);
+
+        for (let enemy of game.enemiesAlong(from, to, this.stats.width / 2)) {
+            if (enemy.health <= 0) continue;
+            if (OrbitalLaser.distanceToSegment(enemy.position, from, to) <= this.stats.width / 2) {
+                game.hitEnemy(enemy, this.stats.damage, this.stats.damageType, this.stats.effects, OrbitalLaser.key);
+            }
+        }
+
+        if (!game.headless) {
+            this.disposeBeam();
+            const mesh = BABYLON.MeshBuilder.CreateBox("orbitalBeam", {
+                width: this.stats.width,
+                height: 60,
+                depth: this.stats.length
+            }, game.scene);
+            mesh.position = target.add(new BABYLON.Vector3(0, 30, 0));
+            mesh.rotation.y = Math.atan2(direction.x, direction.z);
+            mesh.isPickable = false;
+            const material = new BABYLON.StandardMaterial("orbitalBeamMat", game.scene);
+            material.emissiveColor = new BABYLON.Color3(1, 0.3, 0.9);
+            material.disableLighting = true;
+            material.alpha = 0.7;
+            mesh.material = material;
+            this.beam = { mesh: mesh, age: 0 };
+        }
+        return true;
+    }
+
+    /** Horizontal distance from `point` to the segment `from`-`to` */
+    static distanceToSegment(point, from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const lengthSquared = dx * dx + dz * dz;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSquared))
+            : 0;
+        return Math.hypot(point.x - (from.x + dx * t), point.z - (from.z + dz * t));
+    }
+
+    update(dt) {
+        if (!this.beam) return;
+        this.beam.age += dt;
+        const progress = this.beam.age / 0.8; // Seconds to fade
+        if (progress >= 1) {
+            this.disposeBeam();
+            return;
+        }
+        this.beam.mesh.material.alpha = 0.7 * (1 - progress);
+        this.beam.mesh.scaling.x = 1 - progress;
+    }
+
+    disposeBeam() {
+        if (!this.beam) return;
+        this.beam.mesh.dispose();
+        this.beam = null;
+    }
+
+    reset() {
+        super.reset();
+        this.disposeBeam();
+    }
+}
+
+// Hovers over a spot and patches up every tower in range over a few seconds
+class RepairDrone extends Ability {
+    static key = 'repairDrone';
+    static stats = {
+        name: 'REPAIR DRONE',
+        icon: '🔧',
+        cost: 120,
+        cooldown: 25000,
+        targeting: 'point',
+        radius: 14,
+        healShare: 0.4, // Of each tower's max health, over the whole visit
+        duration: 6000 // ms
+    };
+
+    constructor(game) {
+        super(game);
+        this.drone = null; // { position, until, mesh } while working
+    }
+
+    activate(target) {
+        this.deploy(target, this.game.clock.time + this.stats.duration);
+        return true;
+    }
+
+    deploy(position, until) {
+        const game = this.game;
+        this.disposeDrone();
+        this.drone = { position: position.clone(), until: until, mesh: null };
+
+        if (!game.headless) {
+            const mesh = BABYLON.MeshBuilder.CreateSphere("repairDrone", { diameter: 1.2, segments: 8 }, game.scene);
+            mesh.position = position.add(new BABYLON.Vector3(0, 6, 0));
+            mesh.isPickable = false;
+            const material = new BABYLON.StandardMaterial("repairDroneMat", game.scene);
+            material.emissiveColor = new BABYLON.Color3(0.2, 1, 0.4);
+            mesh.material = material;
+            this.drone.mesh = mesh;
+        }
+    }
+
+    update(dt) {
+        if (!this.drone) return;
+        const game = this.game;
+        if (game.clock.time >= this.drone.until) {
+            this.disposeDrone();
+            return;
+        }
+
+        const rate = this.stats.healShare / (this.stats.duration / 1000); // Share per second
+        for (let tower of game.spatial.queryRadius('tower', this.drone.position, this.stats.radius)) {
+            if (tower.health < tower.maxHealth) tower.heal(tower.maxHealth * rate * dt);
+        }
+    }
+
+    disposeDrone() {
+        if (!this.drone) return;
+        if (this.drone.mesh) this.drone.mesh.dispose();
+        this.drone = null;
+    }
+
+    reset() {
+        super.reset();
+        this.disposeDrone();
+    }
+
+    serialize() {
+        const saved = super.serialize();
+        if (this.drone) saved.drone = { position: this.drone.position.asArray(), until: this.drone.until };
+        return saved;
+    }
+
+    restore(saved) {
+        super.restore(saved);
+        if (saved.drone) this.deploy(BABYLON.Vector3.FromArray(saved.drone.position), saved.drone.until);
+    }
+}
+
+// Drops a temporary wall the enemies have to walk around
+class Barricade extends Ability {
+    static key = 'barricade';
+    static stats = {
+        name: 'BARRICADE',
+        icon: '🧱',
+        cost: 80,
+        cooldown: 20000,
+        targeting: 'point',
+        radius: 3, // Blocked ground, like a tower footprint
+        duration: 15000 // ms
+    };
+
+    constructor(game) {
+        super(game);
+        this.wall = null; // { position, until, mesh } while standing
+    }
+
+    activate(target) {
+        const game = this.game;
+        if (!game.isClearOfStructures(target) || !game.keepsRoutesOpen(target, this.stats.radius)) {
+            console.log("❌ A barricade can't go there");
+            return false;
+        }
+        this.raise(target, game.clock.time + this.stats.duration);
+        return true;
+    }
+
+    raise(position, until) {
+        const game = this.game;
+        this.removeWall();
+        this.wall = { position: position.clone(), until: until, mesh: null };
+        game.navGrid.addObstacle(position, this.stats.radius);
+        game.updateRoutes();
+
+        if (!game.headless) {
+            const mesh = BABYLON.MeshBuilder.CreateCylinder("barricade", {
+                diameter: this.stats.radius * 2,
+                height: 2.5,
+                tessellation: 8
+            }, game.scene);
+            mesh.position = position.add(new BABYLON.Vector3(0, 1.25, 0));
+            mesh.isPickable = false;
+            const material = new BABYLON.StandardMaterial("barricadeMat", game.scene);
+            material.diffuseColor = new BABYLON.Color3(0.45, 0.35, 0.25);
+            mesh.material = material;
+            this.wall.mesh = mesh;
+        }
+    }
+
+    update() {
+        if (this.wall && this.game.clock.time >= this.wall.until) {
+            this.removeWall();
+            this.game.updateRoutes();
+        }
+    }
+
+    removeWall() {
+        if (!this.wall) return;
+        this.game.navGrid.removeObstacle(this.wall.position, this.stats.radius);
+        if (this.wall.mesh) this.wall.mesh.dispose();
+        this.wall = null;
+    }
+
+    reset() {
+        super.reset();
+        if (this.wall && this.wall.mesh) this.wall.mesh.dispose();
+        this.wall = null; // clearRun() clears the nav obstacles itself
+    }
+
+    serialize() {
+        const saved = super.serialize();
+        if (this.wall) saved.wall = { position: this.wall.position.asArray(), until: this.wall.until };
+        return saved;
+    }
+
+    restore(saved) {
+        super.restore(saved);
+        if (saved.wall) this.raise(BABYLON.Vector3.FromArray(saved.wall.position), saved.wall.until);
+    }
+}
+
+// Powers in hotkey order
+const ABILITY_TYPES = [PlayerAttack, Emp, OrbitalLaser, RepairDrone, Barricade];
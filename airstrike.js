@@ -0,0 +1,78 @@
+// airstrike.js
+
+/**
+ * One Player Attack run: the craft flies a straight line over the target point,
+ * releases its ordnance overhead and flies on out of the map. The bomb falls on the
+ * simulation clock, so a strike plays out the same way at any frame rate.
+ *
+ * The game owns what the blast does (see updateAirstrikes in game.js) and the
+ * PlayerAttack ability the cooldown (see abilities.js); a strike only reports the step
+ * its ordnance lands.
+ */
+class Airstrike {
+    static ALTITUDE = 45; // Above the target
+    static RUN_IN = 120; // Distance flown before reaching the target, and after it
+    static SPEED = 60; // Units per second
+    static BOMB_SPEED = 50; // Falling, units per second
+
+    /**
+     * @param {BABYLON.Vector3} target Centre of the blast zone
+     * @param {BABYLON.Vector3} approach Horizontal unit vector the craft flies along
+     */
+    constructor(target, approach) {
+        this.target = target.clone();
+        const overhead = target.add(new BABYLON.Vector3(0, Airstrike.ALTITUDE, 0));
+        this.start = overhead.subtract(approach.scale(Airstrike.RUN_IN));
+        this.end = overhead.add(approach.scale(Airstrike.RUN_IN));
+        this.flown = 0;
+
+        this.position = this.start.clone(); // Simulated positions; meshes are interpolated
+        this.prevPosition = this.position.clone();
+        this.mesh = null;
+
+        this.bomb = null; // { position, prevPosition, mesh } once released
+        this.landed = false;
+    }
+
+    /**
+     * Direction a craft flies to pass over `target` coming from `from` (e.g. the camera)
+     */
+    static approachFrom(from, target) {
+        const approach = target.subtract(from);
+        approach.y = 0;
+        if (approach.lengthSquared() < 1e-6) return new BABYLON.Vector3(1, 0, 0);
+        return approach.normalize();
+    }
+
+    get finished() {
+        return this.landed && this.flown >= Airstrike.RUN_IN * 2;
+    }
+
+    /**
+     * Runs one simulation step. Returns true on the step the ordnance lands.
+     */
+    update(dt) {
+        this.prevPosition.copyFrom(this.position);
+        this.flown = Math.min(this.flown + Airstrike.SPEED * dt, Airstrike.RUN_IN * 2);
+        BABYLON.Vector3.LerpToRef(this.start, this.end, this.flown / (Airstrike.RUN_IN * 2), this.position);
+
+        // Release straight over the target
+        if (!this.bomb && this.flown >= Airstrike.RUN_IN) {
+            this.bomb = { position: this.target.add(new BABYLON.Vector3(0, Airstrike.ALTITUDE, 0)), prevPosition: null, mesh: null };
+            this.bomb.prevPosition = this.bomb.position.clone();
+        }
+        if (!this.bomb || this.landed) return false;
+
+        this.bomb.prevPosition.copyFrom(this.bomb.position);
+        this.bomb.position.y -= Airstrike.BOMB_SPEED * dt;
+        if (this.bomb.position.y > this.target.y) return false;
+
+        this.landed = true;
+        return true;
+    }
+
+    dispose() {
+        if (this.mesh) this.mesh.dispose();
+        if (this.bomb && this.bomb.mesh) this.bomb.mesh.dispose();
+    }
+}
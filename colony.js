@@ -1,27 +1,211 @@
 // colony.js
 
+/**
+ * A settlement the enemies march on.
+ *
+ * Its stats are the `colonyTypes` entry with every tier it has been upgraded through
+ * layered on top, the same way towers work (see Tower.statsFor). Every type houses
+ * colonists and pays `incomePerColonist` gold each at the end of a wave; the population
+ * grows while the colony is in good repair. Some types add a special:
+ *   - killBonus / bonusRadius        extra share of the reward for kills nearby (refinery)
+ *   - shieldCapacity / shieldRadius  a dome that soaks up enemy fire aimed at nearby
+ *                                    towers, recharging `shieldRecharge` per second
+ *
+ * Enemies that reach a colony damage its structure (each archetype's `siege` stat) and
+ * kill some of its colonists. What losing a colony means is up to the game (see
+ * destroyColony in game.js).
+ */
 class Colony {
-    constructor(scene, position, game) {
+    static GROWTH = 0.15; // Share of the population added per wave survived
+    static GROWTH_MIN_HEALTH = 0.5; // Nobody moves into a colony below this share of health
+    static CASUALTIES = 0.1; // Colonists lost per point of structural damage
+
+    /**
+     * @param {BABYLON.Scene} scene
+     * @param {BABYLON.Vector3} position
+     * @param {TowerDefenseGame} game
+     * @param {string} type Key into game.colonyTypes
+     */
+    constructor(scene, position, game, type = 'habitat') {
         this.scene = scene;
         this.mesh = null;
         this.position = position;
         this.game = game;
-        this.loadModel();
+        this.type = type;
+        this.definition = game.colonyTypes[type];
+
+        this.tier = 0;
+        this.invested = this.definition.cost;
+        this.data = Tower.statsFor(this.definition, 0);
+        this.maxHealth = this.data.health;
+        this.health = this.maxHealth;
+        this.population = this.data.population;
+        this.shield = this.data.shieldCapacity || 0;
+        this.healthBar = null;
+        this.shieldDome = null;
     }
 
     async loadModel() {
-        const meshes = await this.game.loadModel("assets/models/", "colony1.glb");
+        const meshes = await this.game.loadModel("assets/models/", this.definition.model);
         this.mesh = meshes[0];
         this.mesh.position = this.position.clone();
         this.mesh.position.y = 0.1; // Adjust Y position as needed
-        this.mesh.scaling = new BABYLON.Vector3(0.5, 0.5, 0.5); // Adjust scaling as needed
+        this.applyTierVisuals();
         console.log("Colony model loaded:", this.mesh.name);
         return this.mesh;
     }
 
+    /**
+     * Runs one simulation step
+     */
+    update(dt) {
+        if (this.data.shieldCapacity && this.shield < this.data.shieldCapacity) {
+            this.shield = Math.min(this.data.shieldCapacity, this.shield + this.data.shieldRecharge * dt);
+            this.updateShieldDome();
+        }
+    }
+
+    takeDamage(amount) {
+        this.health -= amount;
+        this.population = Math.max(0, this.population - Math.round(amount * Colony.CASUALTIES));
+        this.updateHealthBar();
+    }
+
+    /**
+     * Soaks up as much of a hit as the dome has left and returns what gets through
+     */
+    absorb(amount) {
+        const absorbed = Math.min(this.shield, amount);
+        this.shield -= absorbed;
+        this.updateShieldDome();
+        return amount - absorbed;
+    }
+
+    /** Whether the dome reaches `position` */
+    shields(position) {
+        return this.shield > 0 && BABYLON.Vector3.Distance(this.position, position) < this.data.shieldRadius;
+    }
+
+    /** Gold the colonists pay at the end of a wave */
+    get income() {
+        return Math.floor(this.population * this.data.incomePerColonist);
+    }
+
+    grow() {
+        if (this.health < this.maxHealth * Colony.GROWTH_MIN_HEALTH) return;
+        const growth = Math.max(1, Math.round(this.population * Colony.GROWTH));
+        this.population = Math.min(this.data.maxPopulation, this.population + growth);
+    }
+
+    /**
+     * Drops part of the population, e.g. when a neighbouring colony falls
+     */
+    losePopulation(share) {
+        this.population = Math.floor(this.population * (1 - share));
+    }
+
+    get maxTier() {
+        return (this.definition.tiers || []).length;
+    }
+
+    /** Definition of the next upgrade, or null at the top tier */
+    get nextTier() {
+        return this.tier < this.maxTier ? this.definition.tiers[this.tier] : null;
+    }
+
+    get upgradeCost() {
+        const next = this.nextTier;
+        return next ? next.cost : null;
+    }
+
+    upgrade() {
+        const next = this.nextTier;
+        if (!next) return;
+        this.invested += next.cost;
+        this.setTier(this.tier + 1);
+    }
+
+    setTier(tier) {
+        this.tier = Math.min(tier, this.maxTier);
+        this.data = Tower.statsFor(this.definition, this.tier);
+
+        // Upgrades add health on top; they don't repair existing damage
+        const missing = this.maxHealth - this.health;
+        this.maxHealth = this.data.health;
+        this.health = this.maxHealth - missing;
+
+        this.applyTierVisuals();
+        this.updateHealthBar();
+        this.updateShieldDome();
+    }
+
+    /**
+     * Scale and, from the first upgrade, the tier's `tint` as a glow - as for towers
+     */
+    applyTierVisuals() {
+        if (!this.mesh) return;
+        this.mesh.scaling = new BABYLON.Vector3(this.data.scale, this.data.scale, this.data.scale);
+        if (this.shieldDome) this.shieldDome.scaling.setAll(this.data.shieldRadius / this.definition.shieldRadius);
+
+        if (!this.data.tint) return;
+        const glow = BABYLON.Color3.FromHexString(this.data.tint).scale(0.4);
+        [this.mesh, ...this.mesh.getChildMeshes()].forEach(mesh => {
+            if (mesh.material && mesh.material.emissiveColor) {
+                mesh.material.emissiveColor = glow;
+            }
+        });
+    }
+
+    updateHealthBar() {
+        if (!this.healthBar) return;
+        const healthPercent = Math.max(0, this.health) / this.maxHealth;
+        this.healthBar.isVisible = healthPercent < 1;
+        this.game.setHealthBar(this.healthBar, healthPercent);
+    }
+
+    /**
+     * The dome fades as it soaks up damage and disappears when spent
+     */
+    updateShieldDome() {
+        if (!this.shieldDome) return;
+        const charge = this.shield / this.data.shieldCapacity;
+        this.shieldDome.isVisible = charge > 0;
+        this.shieldDome.material.alpha = 0.05 + 0.15 * charge;
+    }
+
+    /**
+     * Plain data for save games
+     */
+    serialize() {
+        return {
+            type: this.type,
+            position: this.position.asArray(),
+            tier: this.tier,
+            invested: this.invested,
+            health: this.health,
+            population: this.population,
+            shield: this.shield
+        };
+    }
+
+    static async restore(game, saved) {
+        const colony = await game.createColony(BABYLON.Vector3.FromArray(saved.position), saved.type);
+        colony.setTier(saved.tier);
+        colony.invested = saved.invested;
+        colony.health = saved.health;
+        colony.population = saved.population;
+        colony.shield = saved.shield;
+        colony.updateHealthBar();
+        colony.updateShieldDome();
+        return colony;
+    }
+
     dispose() {
+        if (this.shieldDome) this.shieldDome.dispose();
+        this.game.spatial.remove(this);
+        this.game.releaseHealthBar(this);
         if (this.mesh) {
             this.mesh.dispose();
         }
     }
-}
\ No newline at end of file
+}
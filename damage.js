@@ -0,0 +1,49 @@
+// damage.js
+
+/**
+ * Damage types and how a target's armor and resistances reduce them.
+ *
+ * A hit first scales by the target's resistance to its type (negative resistance is a
+ * weakness), then loses the target's flat armor times the type's `armorEffect`.
+ * Armor never stops more than `MAX_ARMOR_BLOCK` of a hit, so everything still scratches.
+ */
+class Damage {
+    static TYPES = {
+        kinetic: { armorEffect: 1 }, // Bullets - armor counts in full
+        explosive: { armorEffect: 0.5 }, // Blast and shrapnel
+        energy: { armorEffect: 0 } // Burns straight through plating
+    };
+
+    static MAX_ARMOR_BLOCK = 0.75;
+
+    /**
+     * Applies a hit to anything with `health`, `armor` and `resistances`
+     * @param {Object} target
+     * @param {number} amount Raw damage
+     * @param {string} type Key of Damage.TYPES
+     * @returns {{dealt: number, blocked: number, type: string, killed: boolean}}
+     */
+    static apply(target, amount, type = 'kinetic') {
+        const resistance = (target.resistances && target.resistances[type]) || 0;
+        const resisted = amount * (1 - resistance);
+        const armorBlock = Math.min((target.armor || 0) * Damage.TYPES[type].armorEffect, resisted * Damage.MAX_ARMOR_BLOCK);
+        const dealt = Math.max(0, resisted - armorBlock);
+
+        const wasAlive = target.health > 0;
+        target.health -= dealt;
+        return {
+            dealt: dealt,
+            blocked: amount - dealt,
+            type: type,
+            killed: wasAlive && target.health <= 0
+        };
+    }
+
+    /**
+     * Linear falloff from full damage at the centre to `edgeShare` at the blast edge
+     */
+    static splashFalloff(distance, radius, edgeShare = 0.3) {
+        if (distance >= radius) return 0;
+        return 1 - (1 - edgeShare) * (distance / radius);
+    }
+}
@@ -0,0 +1,132 @@
+// endless.js
+
+/**
+ * Endless mode: waves are generated on demand instead of read from a file, so there
+ * is always another one.
+ *
+ * Every wave gets a budget that grows by BUDGET_GROWTH per wave and spends it on
+ * groups of the enemy archetypes unlocked so far. The budget stops growing at
+ * BUDGET_CAP_WAVE, so waves don't get endlessly longer; past it enemy health grows by
+ * BUDGET_GROWTH per wave instead. Every TRAIT_INTERVAL waves one of
+ * TRAITS (faster enemies, armored packs...) is layered on top. A wave is drawn from a
+ * random stream seeded by the run seed and its number, so a seed always produces the
+ * same waves and generating them never shifts the gameplay stream.
+ *
+ * Waves have the same shape as WaveCampaign's (see normalizeWave in waves.js), plus a
+ * `label` naming the wave's trait.
+ */
+class EndlessCampaign {
+    static BUDGET_BASE = 50; // Spent on wave 1
+    static BUDGET_GROWTH = 1.2; // Per wave
+    static BUDGET_CAP_WAVE = 15; // The budget stops growing here; later waves scale enemy health instead
+    static MAX_GROUPS = 5;
+    static TRAIT_INTERVAL = 3; // Every third wave has a trait
+    static SPEED_CAP_WAVE = 15; // extraSpeed stops growing here, as in the campaign's last wave
+
+    // Budget cost of one enemy and the first wave it can appear on
+    static ARCHETYPES = {
+        drone: { cost: 10, unlock: 1 },
+        brute: { cost: 15, unlock: 2 },
+        scout: { cost: 8, unlock: 3 },
+        shooter: { cost: 25, unlock: 5 },
+        tank: { cost: 45, unlock: 7 },
+        healer: { cost: 30, unlock: 9 }
+    };
+
+    // `budget` scales the wave's budget; multipliers multiply, extras add
+    static TRAITS = [
+        { label: 'Swift', modifiers: { speedMultiplier: 1.3 } },
+        { label: 'Armored', modifiers: { extraArmor: 5 } },
+        { label: 'Swarm', budget: 1.5, modifiers: { healthMultiplier: 0.7 } },
+        { label: 'Elite', budget: 0.6, modifiers: { healthMultiplier: 1.8, rewardMultiplier: 1.5 } }
+    ];
+
+    /**
+     * @param {Object} options { enemyTypes, entryPointCount, rng } - waves follow rng.seed
+     */
+    constructor(options) {
+        this.name = 'Endless';
+        this.enemyTypes = options.enemyTypes;
+        this.entryPointCount = options.entryPointCount;
+        this.rng = options.rng;
+        this.waves = new Map(); // Generated so far, for cachedSeed
+        this.cachedSeed = null;
+    }
+
+    get length() {
+        return Infinity;
+    }
+
+    /** Wave definition for a 1-based wave number */
+    getWave(number) {
+        if (!Number.isInteger(number) || number < 1) return null;
+
+        // Loading a save or starting a new run can change the seed
+        if (this.cachedSeed !== this.rng.seed) {
+            this.waves.clear();
+            this.cachedSeed = this.rng.seed;
+        }
+        if (!this.waves.has(number)) {
+            const random = new SeededRandom(RandomService.hash(`endless-${number}`, this.rng.seed));
+            this.waves.set(number, this.generateWave(number, random));
+        }
+        return this.waves.get(number);
+    }
+
+    buildSpawnSchedule(number, random) {
+        const wave = this.getWave(number);
+        return wave ? WaveCampaign.scheduleWave(wave, random) : [];
+    }
+
+    generateWave(number, random) {
+        const trait = number % EndlessCampaign.TRAIT_INTERVAL === 0 ? random.pick(EndlessCampaign.TRAITS) : null;
+        const grownWaves = Math.min(number, EndlessCampaign.BUDGET_CAP_WAVE) - 1;
+        const budget = EndlessCampaign.BUDGET_BASE * Math.pow(EndlessCampaign.BUDGET_GROWTH, grownWaves) * (trait && trait.budget || 1);
+
+        const unlocked = Object.keys(EndlessCampaign.ARCHETYPES)
+            .filter(key => this.enemyTypes[key] && EndlessCampaign.ARCHETYPES[key].unlock <= number);
+        const allEntryPoints = Array.from({ length: this.entryPointCount }, (_, i) => i);
+        const groupCount = Math.min(1 + Math.floor(number / 3), EndlessCampaign.MAX_GROUPS);
+        const interval = Math.max(0.5, 2 * Math.pow(0.95, number - 1)); // Packs tighten up as waves grow
+
+        // An archetype leads the wave it unlocks on
+        const newest = unlocked.find(key => EndlessCampaign.ARCHETYPES[key].unlock === number);
+        const groups = [];
+        let delay = 0;
+        for (let g = 0; g < groupCount; g++) {
+            const enemy = g === 0 && newest ? newest : random.pick(unlocked);
+            groups.push({
+                enemy: enemy,
+                count: Math.max(1, Math.round(budget / groupCount / EndlessCampaign.ARCHETYPES[enemy].cost)),
+                interval: interval,
+                delay: delay,
+                entryPoints: random.chance(0.5) ? allEntryPoints : [random.int(this.entryPointCount)]
+            });
+            delay += Math.round(random.range(3, 10));
+        }
+
+        // Same stat curve as the campaign, plus the growth the capped budget no longer gives
+        const modifiers = Object.assign({}, WaveCampaign.MODIFIER_DEFAULTS, {
+            extraHealth: 20 * number,
+            extraSpeed: 0.43 * Math.min(number, EndlessCampaign.SPEED_CAP_WAVE),
+            extraReward: 2 * number,
+            healthMultiplier: Math.pow(EndlessCampaign.BUDGET_GROWTH, number - 1 - grownWaves)
+        });
+        if (trait) {
+            Object.keys(trait.modifiers).forEach(key => {
+                if (key.endsWith('Multiplier')) {
+                    modifiers[key] *= trait.modifiers[key];
+                } else {
+                    modifiers[key] += trait.modifiers[key];
+                }
+            });
+        }
+
+        return {
+            groups: groups,
+            modifiers: modifiers,
+            bonusGold: 25 + 10 * number,
+            label: trait ? trait.label : null
+        };
+    }
+}
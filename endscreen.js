@@ -0,0 +1,147 @@
+// endscreen.js
+
+/**
+ * Overlay shown when a run ends, in defeat or after the campaign's final wave (endless
+ * runs only end in defeat). Lists the summary from game.runSummary() and offers Retry,
+ * Main Menu and Save Score.
+ */
+class EndScreen {
+    constructor(game) {
+        this.game = game;
+        this.summary = null;
+        this.element = null;
+        this.createScreen();
+    }
+
+    createScreen() {
+        this.element = document.createElement('div');
+        this.element.id = 'endScreenOverlay';
+        this.element.style.cssText = `
+            position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+            background: rgba(0,0,0,0.8); z-index: 1000;
+            display: none; flex-direction: column; align-items: center; justify-content: center;
+            color: #ff8c00; font-family: 'Share Tech Mono', monospace;
+            text-shadow: 0 0 5px #ff8c00;
+        `;
+
+        this.element.innerHTML = `
+            <div style="background: rgba(10, 10, 10, 0.9); border: 2px solid #ff6600; padding: 25px 50px; box-shadow: 0 0 25px rgba(255, 140, 0, 0.6); text-align: center; min-width: 420px;">
+                <h1 id="endScreenTitle" style="font-size: 3em; margin: 0 0 6px 0; letter-spacing: 6px;"></h1>
+                <h2 id="endScreenSubtitle" style="font-size: 1.1em; margin: 0 0 24px 0; font-weight: normal; color: #ffaf40;"></h2>
+                <table class="end-stats" id="endScreenStats"></table>
+                <h2 style="font-size: 1em; margin: 20px 0 8px 0; letter-spacing: 2px;">KILLS</h2>
+                <table class="end-stats" id="endScreenKills"></table>
+                <div style="display: flex; gap: 10px; justify-content: center; margin-top: 24px;">
+                    <input id="endScreenName" maxlength="16" value="COMMANDER" style="background: #1a0d06; border: 1px solid #553322; color: #fff; font-family: 'Share Tech Mono', monospace; padding: 8px; width: 160px;">
+                    <button id="endSaveScoreBtn" class="end-btn">SAVE SCORE</button>
+                </div>
+                <p id="endScreenStatus" style="min-height: 1.2em; color: #ffaf40;"></p>
+                <div style="display: flex; gap: 18px; justify-content: center;">
+                    <button id="endRetryBtn" class="end-btn">RETRY</button>
+                    <button id="endMainMenuBtn" class="end-btn">MAIN MENU</button>
+                </div>
+            </div>
+            <style>
+                .end-stats {
+                    margin: 0 auto;
+                    border-collapse: collapse;
+                    color: #e0e0e0;
+                }
+                .end-stats td {
+                    padding: 3px 14px;
+                    text-align: left;
+                }
+                .end-stats td:last-child {
+                    text-align: right;
+                    color: #ff9900;
+                }
+                .end-btn {
+                    background: linear-gradient(45deg, #ff8c00, #ff4500);
+                    border: none;
+                    color: #fff;
+                    padding: 10px 22px;
+                    font-family: 'Share Tech Mono', monospace;
+                    font-size: 1.1em;
+                    cursor: pointer;
+                    letter-spacing: 2px;
+                    box-shadow: 0 0 10px rgba(255, 140, 0, 0.7);
+                    border-radius: 5px;
+                }
+                .end-btn:hover {
+                    box-shadow: 0 0 20px rgba(255, 140, 0, 1);
+                }
+                .end-btn:disabled {
+                    background: #333;
+                    box-shadow: none;
+                    cursor: default;
+                }
+            </style>
+        `;
+        document.body.appendChild(this.element);
+
+        document.getElementById('endRetryBtn').onclick = () => this.game.restartRun();
+        document.getElementById('endMainMenuBtn').onclick = () => location.reload(); // The page opens on the main menu
+        document.getElementById('endSaveScoreBtn').onclick = () => this.saveScore();
+    }
+
+    /**
+     * @param {Object} summary Output of game.runSummary()
+     */
+    show(summary) {
+        this.summary = summary;
+        const victory = summary.outcome === 'victory';
+        document.getElementById('endScreenTitle').textContent = victory ? '🏆 VICTORY' : '💀 DEFEAT';
+        document.getElementById('endScreenSubtitle').textContent = victory
+            ? `${summary.campaign} complete`
+            : `The colonies fell on wave ${summary.wave}`;
+
+        EndScreen.fillTable('endScreenStats', [
+            ['Mode', summary.campaign],
+            ['Difficulty', this.game.difficulties[summary.difficulty].name],
+            ['Final Score', summary.score],
+            ['Waves Survived', summary.wavesSurvived],
+            ['Seed', summary.seed],
+            ['Gold Earned', `$${summary.goldEarned}`],
+            ['Gold Spent', `$${summary.goldSpent}`],
+            ['Time Played', EndScreen.formatTime(summary.timePlayed)]
+        ]);
+        EndScreen.fillTable('endScreenKills', summary.kills.length > 0
+            ? summary.kills.map(entry => [entry.name, entry.kills])
+            : [['None', 0]]);
+
+        document.getElementById('endSaveScoreBtn').disabled = false;
+        this.setStatus('');
+        this.element.style.display = 'flex';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    saveScore() {
+        const name = document.getElementById('endScreenName').value.trim() || 'COMMANDER';
+        const rank = Leaderboard.add(Object.assign({ name: name, date: new Date().toISOString() }, this.summary));
+        document.getElementById('endSaveScoreBtn').disabled = true;
+        this.setStatus(rank ? `Score saved - rank #${rank} on the ${this.summary.mode} board` : `Score saved, but it didn't make the top ${Leaderboard.MAX_ENTRIES}`);
+    }
+
+    setStatus(message) {
+        document.getElementById('endScreenStatus').textContent = message;
+    }
+
+    static fillTable(id, rows) {
+        const table = document.getElementById(id);
+        table.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        });
+    }
+
+    /** ms as m:ss */
+    static formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,397 @@
+// enemy.js
+
+/**
+ * Base class for everything that walks the path towards the colony.
+ *
+ * Each archetype is a subclass with its own static `stats` (model, health, speed,
+ * reward, weapon) and overrides the behavior hooks:
+ *   - move(dt)      walks along the path, returns false once the end is reached
+ *   - act(dt, time) what the enemy does each step while alive (default: shoot towers)
+ *   - takeDamage()  how incoming damage is reduced (default: armor and resistances, see damage.js)
+ *
+ * Status effects (slow, burn, stun, shred, mark - see statuseffects.js) live in
+ * `effects` and are applied on top of those hooks.
+ *
+ * The game keeps the consequences (gold, score, colony damage) - an enemy only reports
+ * `reachedEnd` and `health`.
+ */
+class Enemy {
+    static key = 'enemy';
+    static HOVER_HEIGHT = 0.85; // Above the path line
+    static HIT_RADIUS = 1.4; // At scale 1; shots that pass this close hit
+
+    static stats = {
+        model: 'enemy.glb',
+        scale: 1,
+        health: 60,
+        speed: 2.2, // Units per second
+        reward: 15,
+        siege: 10, // Damage to the colony on arrival
+        fireRate: 2000, // ms
+        range: 15,
+        damage: 6, // Per shot against towers
+        damageType: 'kinetic',
+        armor: 0, // Flat damage removed from every hit (see Damage.apply)
+        resistances: {} // Damage type -> share ignored, e.g. { explosive: 0.3 }; negative is a weakness
+    };
+
+    /**
+     * @param {TowerDefenseGame} game
+     * @param {BABYLON.AbstractMesh} mesh
+     * @param {BABYLON.Vector3} position Spawn point
+     * @param {Object} modifiers Wave modifiers (see WaveCampaign.MODIFIER_DEFAULTS)
+     */
+    constructor(game, mesh, position, modifiers = WaveCampaign.MODIFIER_DEFAULTS) {
+        const stats = this.constructor.stats;
+        this.game = game;
+        this.type = this.constructor.key;
+        this.mesh = mesh;
+        this.mesh.scaling.scaleInPlace(stats.scale);
+        this.position = position; // Simulated position; the mesh is interpolated towards it
+        this.prevPosition = position.clone();
+        this.mesh.position = position.clone();
+        this.healthBar = null;
+
+        this.maxHealth = (stats.health + modifiers.extraHealth) * modifiers.healthMultiplier;
+        this.health = this.maxHealth;
+        this.speed = (stats.speed + modifiers.extraSpeed) * modifiers.speedMultiplier;
+        this.reward = Math.round((stats.reward + modifiers.extraReward) * modifiers.rewardMultiplier);
+        this.siege = stats.siege;
+        this.baseArmor = stats.armor + modifiers.extraArmor;
+        this.resistances = stats.resistances;
+        this.fireRate = stats.fireRate / modifiers.fireRateMultiplier; // ms between shots
+        this.range = stats.range;
+        this.damage = stats.damage;
+        this.damageType = stats.damageType;
+
+        this.route = []; // Waypoints this enemy follows (see setRoute)
+        this.routeRemaining = [0]; // Route length left from each waypoint to the goal
+        this.pathIndex = 0;
+        this.pathProgress = 0;
+        this.lastShot = 0;
+        this.target = null;
+        this.reachedEnd = false;
+        this.lastHitBy = null; // Tower type or ability key credited with the kill
+        this.effects = new StatusEffects(this);
+        this.statusIndicator = null; // Markers over the mesh, one per active effect
+    }
+
+    /**
+     * Loads the archetype's model and creates an enemy at `position`
+     */
+    static async spawn(game, typeName, position, modifiers) {
+        const EnemyType = ENEMY_TYPES[typeName];
+        const meshes = await game.loadModel("assets/models/", EnemyType.stats.model, true);
+        return new EnemyType(game, meshes[0], position, modifiers);
+    }
+
+    /**
+     * Runs one simulation step
+     */
+    update(dt, time) {
+        this.prevPosition.copyFrom(this.position);
+        this.effects.update(dt, time);
+        if (this.effects.stunned) {
+            this.updateHealthBar();
+            return;
+        }
+
+        if (!this.move(dt)) {
+            this.reachedEnd = true;
+            return;
+        }
+        if (this.health <= 0) return;
+
+        this.updateHealthBar();
+        this.act(dt, time);
+    }
+
+    move(dt) {
+        const path = this.route;
+        let distance = this.speed * this.effects.speedMultiplier * dt;
+
+        // Path segments differ in length, so walk a distance rather than a fraction
+        while (distance > 0 && this.pathIndex < path.length - 1) {
+            const segmentLength = BABYLON.Vector3.Distance(path[this.pathIndex], path[this.pathIndex + 1]);
+            const remaining = segmentLength * (1 - this.pathProgress);
+            if (distance < remaining) {
+                this.pathProgress += distance / segmentLength;
+                distance = 0;
+            } else {
+                distance -= remaining;
+                this.pathIndex++;
+                this.pathProgress = 0;
+            }
+        }
+        if (this.pathIndex >= path.length - 1) return false;
+
+        BABYLON.Vector3.LerpToRef(path[this.pathIndex], path[this.pathIndex + 1], this.pathProgress, this.position);
+        this.position.y += Enemy.HOVER_HEIGHT;
+
+        // Face movement direction
+        const direction = path[this.pathIndex + 1].subtract(path[this.pathIndex]);
+        direction.y = 0;
+        this.mesh.lookAt(this.mesh.position.add(direction));
+        return true;
+    }
+
+    /**
+     * Follows a new route from its first waypoint. Routes are never modified after
+     * planning, so enemies on the same lane can share one.
+     */
+    setRoute(route) {
+        this.route = route;
+        this.pathIndex = 0;
+        this.pathProgress = 0;
+
+        this.routeRemaining = new Array(route.length).fill(0);
+        for (let i = route.length - 2; i >= 0; i--) {
+            this.routeRemaining[i] = this.routeRemaining[i + 1] + BABYLON.Vector3.Distance(route[i], route[i + 1]);
+        }
+    }
+
+    get hitRadius() {
+        return Enemy.HIT_RADIUS * this.constructor.stats.scale;
+    }
+
+    /** Hit radius of the largest archetype */
+    static get maxHitRadius() {
+        return Enemy.HIT_RADIUS * Math.max(...Object.values(ENEMY_TYPES).map(type => type.stats.scale));
+    }
+
+    /** Distance still to walk along the route */
+    get distanceToGoal() {
+        if (this.pathIndex >= this.route.length - 1) return 0;
+        const segmentLength = this.routeRemaining[this.pathIndex] - this.routeRemaining[this.pathIndex + 1];
+        return this.routeRemaining[this.pathIndex + 1] + segmentLength * (1 - this.pathProgress);
+    }
+
+    act(dt, time) {
+        this.target = this.findTowerInRange();
+        if (this.target && time - this.lastShot > this.fireRate) {
+            this.game.fireEnemyProjectile(this);
+            this.lastShot = time;
+        }
+    }
+
+    /**
+     * Applies a hit and returns what it did ({ dealt, blocked, type, killed })
+     */
+    takeDamage(amount, type) {
+        return Damage.apply(this, amount * this.effects.damageTakenMultiplier, type);
+    }
+
+    /** Armor left after shredding */
+    get armor() {
+        return Math.max(0, this.baseArmor - this.effects.armorReduction);
+    }
+
+    heal(amount) {
+        this.health = Math.min(this.maxHealth, this.health + amount);
+    }
+
+    findTowerInRange() {
+        return this.game.spatial.nearest('tower', this.position, this.range);
+    }
+
+    updateHealthBar() {
+        if (!this.healthBar) return;
+        this.game.setHealthBar(this.healthBar, this.health / this.maxHealth);
+    }
+
+    /**
+     * Plain data for save games - restored with Enemy.restore()
+     */
+    serialize() {
+        return {
+            type: this.type,
+            position: this.position.asArray(),
+            health: this.health,
+            maxHealth: this.maxHealth,
+            speed: this.speed,
+            reward: this.reward,
+            fireRate: this.fireRate,
+            armor: this.baseArmor,
+            route: this.route.map(point => point.asArray()),
+            pathIndex: this.pathIndex,
+            pathProgress: this.pathProgress,
+            lastShot: this.lastShot,
+            lastHitBy: this.lastHitBy,
+            effects: this.effects.serialize()
+        };
+    }
+
+    static async restore(game, saved) {
+        const enemy = await Enemy.spawn(game, saved.type, BABYLON.Vector3.FromArray(saved.position));
+        enemy.health = saved.health;
+        enemy.maxHealth = saved.maxHealth;
+        enemy.speed = saved.speed;
+        enemy.reward = saved.reward;
+        enemy.fireRate = saved.fireRate || enemy.fireRate;
+        if (saved.armor !== undefined) enemy.baseArmor = saved.armor;
+        enemy.setRoute(saved.route.map(point => BABYLON.Vector3.FromArray(point)));
+        enemy.pathIndex = saved.pathIndex;
+        enemy.pathProgress = saved.pathProgress;
+        enemy.lastShot = saved.lastShot;
+        enemy.lastHitBy = saved.lastHitBy || null;
+        if (saved.effects) enemy.effects.restore(saved.effects);
+        enemy.restoreState(saved);
+        return enemy;
+    }
+
+    /** Restores what a subclass adds to serialize() */
+    restoreState(saved) {}
+
+    dispose() {
+        this.game.spatial.remove(this);
+        this.game.releaseHealthBar(this);
+        if (this.statusIndicator) this.statusIndicator.dispose();
+        this.mesh.dispose();
+    }
+}
+
+// Wave 1 fodder
+class Drone extends Enemy {
+    static key = 'drone';
+    static stats = Object.assign({}, Enemy.stats);
+}
+
+// The standard attacker from wave 2 onwards
+class Brute extends Enemy {
+    static key = 'brute';
+    static stats = Object.assign({}, Enemy.stats, {
+        model: 'enemy2.glb',
+        health: 100,
+        speed: 2.7,
+        reward: 25,
+        siege: 15,
+        damage: 8,
+        armor: 2
+    });
+}
+
+// Fast and fragile, runs straight for the colony without shooting
+class Scout extends Enemy {
+    static key = 'scout';
+    static stats = Object.assign({}, Enemy.stats, {
+        scale: 0.7,
+        health: 35,
+        speed: 5.4,
+        reward: 12,
+        siege: 8,
+        resistances: { explosive: 0.4 } // Too quick to catch the full blast
+    });
+
+    act() {}
+}
+
+// Slow, heavily armored - small hits barely scratch it
+class Tank extends Enemy {
+    static key = 'tank';
+    static stats = Object.assign({}, Enemy.stats, {
+        model: 'enemy2.glb',
+        scale: 1.5,
+        health: 260,
+        speed: 1.3,
+        reward: 45,
+        siege: 40,
+        fireRate: 3000,
+        damage: 20,
+        damageType: 'explosive', // Shells that crack tower plating
+        armor: 12,
+        resistances: { kinetic: 0.2, energy: -0.25 } // Plating deflects bullets but melts under lasers
+    });
+}
+
+// Repairs nearby allies instead of shooting
+class Healer extends Enemy {
+    static key = 'healer';
+    static stats = Object.assign({}, Enemy.stats, {
+        health: 80,
+        speed: 2.0,
+        reward: 30,
+        resistances: { energy: 0.3 },
+        healRadius: 10,
+        healFraction: 0.08, // Of each ally's max health, per pulse
+        healInterval: 1500 // ms
+    });
+
+    constructor(game, mesh, position, modifiers) {
+        super(game, mesh, position, modifiers);
+        this.lastHeal = 0;
+    }
+
+    serialize() {
+        return Object.assign(super.serialize(), { lastHeal: this.lastHeal });
+    }
+
+    restoreState(saved) {
+        this.lastHeal = saved.lastHeal || 0;
+    }
+
+    act(dt, time) {
+        const stats = Healer.stats;
+        if (time - this.lastHeal < stats.healInterval) return;
+
+        let healed = 0;
+        for (let ally of this.game.spatial.queryRadius('enemy', this.position, stats.healRadius)) {
+            if (ally === this || ally.health <= 0 || ally.health >= ally.maxHealth) continue;
+            ally.heal(ally.maxHealth * stats.healFraction);
+            healed++;
+        }
+        if (healed > 0) {
+            this.lastHeal = time;
+            this.game.createHealParticles(this.position);
+        }
+    }
+}
+
+// Stops to fire at towers in range - plants its feet for a moment after every shot
+class Shooter extends Enemy {
+    static key = 'shooter';
+    static stats = Object.assign({}, Enemy.stats, {
+        model: 'enemy2.glb',
+        scale: 0.85,
+        health: 90,
+        speed: 2.3,
+        reward: 28,
+        siege: 12,
+        fireRate: 1000,
+        range: 20,
+        damage: 5,
+        armor: 4,
+        holdTime: 800 // ms standing still after each shot
+    });
+
+    constructor(game, mesh, position, modifiers) {
+        super(game, mesh, position, modifiers);
+        this.holdUntil = 0;
+    }
+
+    serialize() {
+        return Object.assign(super.serialize(), { holdUntil: this.holdUntil });
+    }
+
+    restoreState(saved) {
+        this.holdUntil = saved.holdUntil || 0;
+    }
+
+    move(dt) {
+        if (this.game.clock.time < this.holdUntil) return true;
+        return super.move(dt);
+    }
+
+    act(dt, time) {
+        const lastShot = this.lastShot;
+        super.act(dt, time);
+        if (this.lastShot !== lastShot) {
+            this.holdUntil = time + Shooter.stats.holdTime;
+        }
+    }
+}
+
+// Archetypes by the key wave files use
+const ENEMY_TYPES = {};
+[Drone, Brute, Scout, Tank, Healer, Shooter].forEach(type => {
+    ENEMY_TYPES[type.key] = type;
+});
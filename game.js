@@ -1,28 +1,51 @@
 let game;
 
 class TowerDefenseGame {
-    constructor() {
+    constructor(options = {}) {
         console.log("🎮 Initializing Enhanced Tower Defense Game...");
-        this.canvas = document.getElementById("renderCanvas");
-        this.engine = new BABYLON.Engine(this.canvas, true, { 
-            preserveDrawingBuffer: true, 
-            stencil: true,
-            antialias: true
-        });
+        // Headless runs (see simulate.js) use a NullEngine and skip DOM, audio, video and particles
+        this.headless = !!options.headless;
+        if (this.headless) {
+            this.canvas = null;
+            this.engine = options.engine || new BABYLON.NullEngine();
+        } else {
+            this.canvas = document.getElementById("renderCanvas");
+            this.engine = new BABYLON.Engine(this.canvas, true, { 
+                preserveDrawingBuffer: true, 
+                stencil: true,
+                antialias: true
+            });
+        }
         this.scene = null;
+        this.models = null; // Model files loaded so far (see modelcache.js), created with the scene
+        this.particles = null; // Named particle effects (see particle.js), created with the scene
         this.camera = null;
         
-        // Game state
-        this.gold = 1000;
-        this.lives = 50;
-        this.score = 0;
-        this.wave = 0;
-        this.enemiesInWave = 4;
-        this.enemiesSpawned = 0;
+        // Game state (the run's counters are set by setDifficulty at the end)
+        this.difficulty = options.difficulty || 'veteran'; // Key into this.difficulties, chosen in the main menu
+        this.mode = options.mode || 'campaign'; // 'campaign' plays the wave file, 'endless' generates waves (see endless.js)
         this.selectedTowerType = 'basic';
-        this.gameStarted = false;
+        this.selectedTower = null; // Placed tower shown in the tower info panel
+        this.selectedColony = null; // Placed colony shown in the colony info panel
+        this.selectionRing = null;
+        this.statusMaterials = {}; // Effect kind -> shared indicator material
+        this.projectileMaterials = {}; // Tower type (or 'enemy') -> shared shot material
+        this.healthBarSteps = 10; // Health bars change colour in this many steps
+        this.healthMaterials = []; // One per step, shared by every bar
+        this.pools = {}; // Reused meshes by kind (see pool.js)
         this.isPaused = false;
         this.lastPauseToggle = 0;
+        this.clock = new SimulationClock(); // Fixed-timestep clock every gameplay system reads
+
+        // Seeded randomness - open the game with ?seed=1234 to replay a run
+        let seed = options.seed;
+        if (seed === undefined && !this.headless) {
+            const seedParam = new URLSearchParams(window.location.search).get('seed');
+            if (seedParam !== null) seed = parseInt(seedParam, 10);
+        }
+        this.rng = new RandomService(seed);
+        console.log(`🎲 Run seed: ${this.rng.seed}`);
+        this.saveManager = new SaveManager(this);
         
         // Video elements
         this.introVideo = null;
@@ -62,15 +85,23 @@ class TowerDefenseGame {
         this.lore4Played = false; // Flag for lore4.mp3 to play once
         this.lore5Played = false; // Flag for lore5.mp3 to play once
         this.pauseMenu = null; // New pause menu instance
+        this.endScreen = null; // Defeat / victory summary (see endscreen.js)
 
         // Game objects
         this.towers = [];
         this.enemies = [];
-        this.projectiles = [];
+        this.enemiesLoading = 0; // Spawns waiting on their model
+        this.runGeneration = 0; // Bumped by clearRun so loads from the old run are dropped
+        this.projectiles = []; // Tower shots in flight (see projectiles.js)
         this.enemyProjectiles = []; // Added for enemy projectiles
+        this.beams = []; // Fading hitscan beams, { mesh, age }
+        this.spatial = new SpatialIndex(10); // Towers, enemies, colonies and plants by position
+        this.airstrikes = []; // Player Attack runs in flight
+        this.abilities = ABILITY_TYPES.map(Type => new Type(this)); // Active powers on the ability bar (see abilities.js)
+        this.selectedAbility = null; // Being aimed; a click uses it
+        this.abilityMarker = null;
         this.colonies = []; // New: Array to store colonies
-        this.path = [];
-        this.pathMeshes = [];
+        this.lanes = []; // One route per entry point to the target colony (see updateLanes)
         this.ground = null;
         this.player = null;
 
@@ -89,73 +120,350 @@ class TowerDefenseGame {
             new BABYLON.Vector3(100, 0, -150),
         ];
         this.targetColony = null;
+        this.colonyPanic = 0.25; // Share of colonists the survivors lose when a colony falls
+
+        // Enemies route around towers and colonies on this grid (see navigation.js)
+        this.navGrid = new NavGrid();
+        this.towerFootprint = 3; // Radius of blocked ground under a tower
+        this.colonyFootprint = 5;
+        this.colonyGoalRadius = 10; // Routes end at the colony's edge
         
         // Tower definitions - rebalanced
+        // Each tier overrides the stats above it and costs `cost` to reach (see tower.js)
         this.towerTypes = {
-            basic: { cost: 40, damage: 25, range: 10, fireRate: 900, color: '#ff6b35', name: 'BASIC' },
-            missile: { cost: 85, damage: 60, range: 12, fireRate: 1400, color: '#e74c3c', name: 'MISSILE' },
-            laser: { cost: 130, damage: 40, range: 18, fireRate: 350, color: '#3498db', name: 'LASER' },
-            colony: { cost: 200, name: 'COLONY' }, // New: Colony definition
-            playerAttack: { cost: 1000, name: 'PLAYER ATTACK' } // New: Player Attack special weapon
+            basic: { cost: 40, damage: 25, damageType: 'kinetic', projectile: 'ballistic', range: 10, fireRate: 900, health: 150, armor: 2, color: '#ff6b35', name: 'BASIC', targeting: 'first',
+                tiers: [
+                    { cost: 60, damage: 38, range: 11, fireRate: 800, health: 190, scale: 1.1, tint: '#ff9933', name: 'BASIC MK II' },
+                    { cost: 110, damage: 55, range: 12.5, fireRate: 650, health: 240, scale: 1.2, tint: '#ffdd33', name: 'BASIC MK III' }
+                ] },
+            missile: { cost: 85, damage: 60, damageType: 'explosive', splashRadius: 6, projectile: 'homing', turnRate: 4, range: 12, fireRate: 1400, health: 200, armor: 4, color: '#e74c3c', name: 'MISSILE', targeting: 'strongest',
+                tiers: [
+                    { cost: 120, damage: 90, splashRadius: 6.5, range: 13, fireRate: 1300, health: 250, effects: [{ kind: 'shred', magnitude: 2, duration: 4000 }], scale: 1.1, tint: '#ff5533', name: 'MISSILE MK II' },
+                    { cost: 200, damage: 130, splashRadius: 7.5, turnRate: 5, range: 15, fireRate: 1150, health: 310, effects: [{ kind: 'shred', magnitude: 3, duration: 5000 }], scale: 1.2, tint: '#ff2266', name: 'MISSILE MK III' }
+                ] },
+            laser: { cost: 130, damage: 40, damageType: 'energy', projectile: 'hitscan', pierce: 3, range: 18, fireRate: 350, health: 120, armor: 1, effects: [{ kind: 'burn', magnitude: 6, duration: 2000 }], color: '#3498db', name: 'LASER',
+                tiers: [
+                    { cost: 170, damage: 55, pierce: 4, range: 20, fireRate: 300, health: 150, effects: [{ kind: 'burn', magnitude: 8, duration: 2500 }], scale: 1.1, tint: '#33aaff', name: 'LASER MK II' },
+                    { cost: 260, damage: 75, pierce: 5, range: 22, fireRate: 250, health: 190, effects: [{ kind: 'burn', magnitude: 10, duration: 3000 }], scale: 1.2, tint: '#aa55ff', name: 'LASER MK III' }
+                ] },
+            cryo: { cost: 90, damage: 8, damageType: 'kinetic', splashRadius: 4, range: 12, fireRate: 1000, health: 140, armor: 2, effects: [{ kind: 'slow', magnitude: 0.35, duration: 2000 }], color: '#66ccff', tint: '#3399ff', name: 'CRYO', targeting: 'first',
+                tiers: [
+                    { cost: 110, damage: 12, range: 13, health: 180, effects: [{ kind: 'slow', magnitude: 0.5, duration: 2500 }], scale: 1.1, tint: '#66ccff', name: 'CRYO MK II' },
+                    { cost: 180, damage: 16, splashRadius: 5, range: 14, health: 220, effects: [{ kind: 'slow', magnitude: 0.6, duration: 3000 }], scale: 1.2, tint: '#ccf2ff', name: 'CRYO MK III' }
+                ] },
+            shock: { cost: 150, damage: 20, damageType: 'energy', range: 11, fireRate: 2600, health: 130, armor: 1, effects: [{ kind: 'stun', magnitude: 1, duration: 700 }, { kind: 'mark', magnitude: 0.25, duration: 3000 }], color: '#ffee33', tint: '#ccaa00', name: 'SHOCK', targeting: 'strongest',
+                tiers: [
+                    { cost: 160, damage: 30, range: 12, fireRate: 2300, health: 160, effects: [{ kind: 'stun', magnitude: 1, duration: 900 }, { kind: 'mark', magnitude: 0.35, duration: 3500 }], scale: 1.1, tint: '#ffdd33', name: 'SHOCK MK II' },
+                    { cost: 250, damage: 45, range: 13, fireRate: 2000, health: 200, effects: [{ kind: 'stun', magnitude: 1, duration: 1100 }, { kind: 'mark', magnitude: 0.5, duration: 4000 }], scale: 1.2, tint: '#ffff99', name: 'SHOCK MK III' }
+                ] }
+        };
+
+        // Colony definitions (see colony.js) - tiers work as for towers
+        this.colonyTypes = {
+            habitat: { cost: 200, model: 'colony1.glb', scale: 0.5, health: 500, population: 40, maxPopulation: 200, incomePerColonist: 1, color: '#2ecc71', name: 'HABITAT',
+                tiers: [
+                    { cost: 180, health: 650, maxPopulation: 300, incomePerColonist: 1.2, scale: 0.6, tint: '#27ae60', name: 'HABITAT MK II' },
+                    { cost: 320, health: 800, maxPopulation: 450, incomePerColonist: 1.4, scale: 0.7, tint: '#7dffb0', name: 'HABITAT MK III' }
+                ] },
+            refinery: { cost: 260, model: 'colony2.glb', scale: 0.5, health: 400, population: 15, maxPopulation: 60, incomePerColonist: 1, killBonus: 0.4, bonusRadius: 25, color: '#f1c40f', name: 'REFINERY',
+                tiers: [
+                    { cost: 220, health: 500, killBonus: 0.6, bonusRadius: 30, scale: 0.6, tint: '#f39c12', name: 'REFINERY MK II' },
+                    { cost: 360, health: 600, killBonus: 0.8, bonusRadius: 36, scale: 0.7, tint: '#ffe066', name: 'REFINERY MK III' }
+                ] },
+            shieldGenerator: { cost: 300, model: 'colony3.glb', scale: 0.5, health: 450, population: 10, maxPopulation: 40, incomePerColonist: 1, shieldCapacity: 150, shieldRecharge: 8, shieldRadius: 18, color: '#3498db', name: 'SHIELD GENERATOR',
+                tiers: [
+                    { cost: 240, health: 550, shieldCapacity: 250, shieldRecharge: 12, shieldRadius: 21, scale: 0.6, tint: '#2980b9', name: 'SHIELD GENERATOR MK II' },
+                    { cost: 400, health: 650, shieldCapacity: 400, shieldRecharge: 18, shieldRadius: 24, scale: 0.7, tint: '#85c1ff', name: 'SHIELD GENERATOR MK III' }
+                ] }
         };
+
+        // Difficulty presets. Enemy health, speed and reward are curves: `multiplier` on
+        // wave 1, growing by `perWave` of it every wave after. The reward curve also scales
+        // the wave bonus. `enemyFireRate` scales how often enemies shoot.
+        this.difficulties = {
+            recruit: { name: 'RECRUIT', startingGold: 1500, towerCost: 0.8, enemyFireRate: 0.7,
+                enemyHealth: { multiplier: 0.75, perWave: 0 },
+                enemySpeed: { multiplier: 0.9, perWave: 0 },
+                enemyReward: { multiplier: 1.25, perWave: 0 } },
+            veteran: { name: 'VETERAN', startingGold: 1000, towerCost: 1, enemyFireRate: 1,
+                enemyHealth: { multiplier: 1, perWave: 0 },
+                enemySpeed: { multiplier: 1, perWave: 0 },
+                enemyReward: { multiplier: 1, perWave: 0 } },
+            nightmare: { name: 'NIGHTMARE', startingGold: 700, towerCost: 1.25, enemyFireRate: 1.4,
+                enemyHealth: { multiplier: 1.3, perWave: 0.04 },
+                enemySpeed: { multiplier: 1.1, perWave: 0.005 },
+                enemyReward: { multiplier: 0.85, perWave: 0 } }
+        };
+        this.baseTowerTypes = this.towerTypes; // Costs before the difficulty preset
+
+        // Enemy archetypes (see enemy.js) - wave files refer to these by name
+        this.enemyTypes = ENEMY_TYPES;
+
+        // Wave definitions (see waves.js) - headless runs pass the parsed file in directly.
+        // Endless mode replaces the campaign with an EndlessCampaign.
+        this.campaign = null;
+        this.campaignUrl = options.campaignUrl || 'assets/waves/campaign.json';
+        this.campaignData = options.campaignData || null;
+
+        this.setDifficulty(this.difficulty);
         
-        this.init();
+        if (!this.headless) {
+            this.init();
+        }
     }
 
-    async activatePlayerAttack() {
-        if (this.isPaused) return;
+    /**
+     * Switches to a difficulty preset between runs: reprices the towers and resets the
+     * run's counters, starting gold included
+     * @param {string} key Key into this.difficulties
+     */
+    setDifficulty(key) {
+        if (!this.difficulties[key]) throw new Error(`Unknown difficulty: ${key}`);
+        this.difficulty = key;
+
+        const towerCost = this.difficulties[key].towerCost;
+        this.towerTypes = JSON.parse(JSON.stringify(this.baseTowerTypes));
+        Object.values(this.towerTypes).forEach(definition => {
+            definition.cost = Math.round(definition.cost * towerCost);
+            (definition.tiers || []).forEach(tier => tier.cost = Math.round(tier.cost * towerCost));
+        });
 
-        console.log("🚀 Activating Player Attack!");
+        this.resetRunState();
+    }
 
-        // Ensure there are enemies to attack
-        if (this.enemies.length === 0) {
-            console.log("No enemies to attack!");
-            return;
+    /**
+     * Switches between the wave file and generated endless waves, between runs
+     * @param {string} mode 'campaign' or 'endless'
+     */
+    async setMode(mode) {
+        if (mode !== 'campaign' && mode !== 'endless') throw new Error(`Unknown mode: ${mode}`);
+        const previousMode = this.mode;
+        this.mode = mode;
+        try {
+            await this.loadCampaign();
+        } catch (e) {
+            this.mode = previousMode; // Keeps the campaign it had
+            throw e;
         }
+    }
 
-        // Load player model for the attack
-        // Assuming createPlayer is now a utility function that can load the model
-        // and return its mesh, without attaching it to camera controls.
-        const playerAttackModel = await createPlayer(this.scene, this); 
-        
-        // Position the player model off-screen, ready to fly in
-        playerAttackModel.position = new BABYLON.Vector3(-100, 50, 0); // Start far left, high up
-        playerAttackModel.rotation.y = Math.PI / 2; // Face right
-
-        // Animate the player model flying across the map
-        const flyInAnimation = new BABYLON.Animation(
-            "playerAttackFlyIn",
-            "position",
-            60, // frames per second
-            BABYLON.Animation.ANIMATIONTYPE_VECTOR3,
-            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
-        );
-
-        const keys = [];
-        keys.push({ frame: 0, value: new BABYLON.Vector3(-100, 50, 0) });
-        keys.push({ frame: 120, value: new BABYLON.Vector3(100, 50, 0) }); // Fly across to the right
-
-        flyInAnimation.setKeys(keys);
-        playerAttackModel.animations.push(flyInAnimation);
-
-        this.scene.beginAnimation(playerAttackModel, 0, 120, false, 1, () => {
-            // Once animation is complete, destroy all enemies
-            console.log("💥 Player Attack: Destroying all enemies!");
-            for (let i = this.enemies.length - 1; i >= 0; i--) {
-                const enemy = this.enemies[i];
-                this.createExplosionParticles(enemy.mesh.position); // Visual effect
-                if (enemy.healthBar) enemy.healthBar.dispose();
-                enemy.mesh.dispose();
-                this.enemies.splice(i, 1);
-                this.gold += enemy.reward; // Grant gold for destroyed enemies
-                this.score += enemy.reward * 15; // Grant score
+    get difficultyPreset() {
+        return this.difficulties[this.difficulty];
+    }
+
+    /**
+     * Factor a difficulty curve (see this.difficulties) gives on `wave`
+     */
+    difficultyFactor(curve, wave = this.wave) {
+        return curve.multiplier * (1 + curve.perWave * Math.max(0, wave - 1));
+    }
+
+    /**
+     * A wave's stat modifiers with the difficulty preset applied on top
+     */
+    difficultyModifiers(modifiers) {
+        const preset = this.difficultyPreset;
+        return Object.assign({}, modifiers, {
+            healthMultiplier: modifiers.healthMultiplier * this.difficultyFactor(preset.enemyHealth),
+            speedMultiplier: modifiers.speedMultiplier * this.difficultyFactor(preset.enemySpeed),
+            rewardMultiplier: modifiers.rewardMultiplier * this.difficultyFactor(preset.enemyReward),
+            fireRateMultiplier: modifiers.fireRateMultiplier * preset.enemyFireRate
+        });
+    }
+
+    /**
+     * Sends the Player Attack craft over `target` along `approach`. Its ordnance hits only
+     * enemies in the blast zone (see the PlayerAttack ability).
+     */
+    launchAirstrike(target, approach) {
+        const airstrike = new Airstrike(target, approach);
+        this.airstrikes.push(airstrike);
+        console.log(`🚀 Player Attack inbound on (${target.x.toFixed(0)}, ${target.z.toFixed(0)})!`);
+
+        if (!this.headless) {
+            createPlayer(this.scene, this).then(mesh => {
+                if (!this.airstrikes.includes(airstrike)) {
+                    mesh.dispose(); // Run ended before the model arrived
+                    return;
+                }
+                mesh.position = airstrike.position.clone();
+                mesh.lookAt(airstrike.end);
+                airstrike.mesh = mesh;
+            });
+        }
+    }
+
+    updateAirstrikes(dt) {
+        if (this.isPaused) return;
+
+        const ability = this.ability('playerAttack');
+        const strike = ability.stats;
+        for (let i = this.airstrikes.length - 1; i >= 0; i--) {
+            const airstrike = this.airstrikes[i];
+            if (airstrike.update(dt)) {
+                console.log("💥 Player Attack ordnance landed!");
+                this.explode(airstrike.target, strike.damage, strike.damageType, strike.radius, [], ability.constructor.key);
+                ability.startCooldown();
+                if (airstrike.bomb.mesh) {
+                    airstrike.bomb.mesh.dispose();
+                    airstrike.bomb.mesh = null;
+                }
+            } else if (airstrike.bomb && !airstrike.landed && !airstrike.bomb.mesh && !this.headless) {
+                const bomb = BABYLON.MeshBuilder.CreateSphere("airstrikeBomb", { diameter: 1.2 }, this.scene);
+                bomb.position = airstrike.bomb.position.clone();
+                bomb.isPickable = false;
+                airstrike.bomb.mesh = bomb;
             }
-            this.updateUI();
-            
-            // Dispose of the player attack model
-            playerAttackModel.dispose();
-            console.log("Player Attack complete. Model disposed.");
+
+            if (airstrike.finished) {
+                airstrike.dispose();
+                this.airstrikes.splice(i, 1);
+                this.updateUI();
+            }
+        }
+    }
+
+    /** The ability with `key` (see ABILITY_TYPES) */
+    ability(key) {
+        return this.abilities.find(ability => ability.constructor.key === key);
+    }
+
+    /**
+     * Starts aiming the ability in slot `index` (hotkeys 1-5); picking the one being
+     * aimed again puts it away
+     */
+    selectAbility(index) {
+        const ability = this.abilities[index];
+        if (!ability || this.isPaused) return;
+
+        this.selectedAbility = this.selectedAbility === ability ? null : ability;
+        if (this.selectedAbility) console.log(`${ability.stats.icon} Aiming ${ability.stats.name} - click to use`);
+        this.updateAbilityBar();
+    }
+
+    /**
+     * Uses the ability being aimed on `target`; it stays selected if it couldn't be used
+     */
+    useSelectedAbility(target) {
+        const ability = this.selectedAbility;
+        if (ability.use(target, this.aimDirection(target))) {
+            this.selectedAbility = null;
+            this.updateAbilityBar();
+        }
+    }
+
+    /** Horizontal direction from the player to `target` */
+    aimDirection(target) {
+        const from = this.camera ? this.camera.position : target.subtract(new BABYLON.Vector3(1, 0, 0));
+        return Airstrike.approachFrom(from, target);
+    }
+
+    /**
+     * Targeting marker under the crosshair while an ability is being aimed: a disc for
+     * 'point' abilities, a strip along the view for 'line' ones. Coloured when the
+     * ability can be used, grey while it is cooling down or unaffordable.
+     */
+    updateAbilityMarker() {
+        const ability = this.isPointerLocked ? this.selectedAbility : null;
+        if (this.abilityMarker && this.abilityMarker.ability !== ability) {
+            this.abilityMarker.mesh.dispose();
+            this.abilityMarker = null;
+        }
+        if (!ability) return;
+
+        const stats = ability.stats;
+        if (!this.abilityMarker) {
+            const mesh = stats.targeting === 'line'
+                ? BABYLON.MeshBuilder.CreateGround("abilityMarker", { width: stats.width, height: stats.length }, this.scene)
+                : BABYLON.MeshBuilder.CreateDisc("abilityMarker", { radius: stats.radius, tessellation: 48 }, this.scene);
+            if (stats.targeting !== 'line') mesh.rotation.x = Math.PI / 2;
+            mesh.isPickable = false;
+            const markerMat = new BABYLON.StandardMaterial("abilityMarkerMat", this.scene);
+            markerMat.disableLighting = true;
+            markerMat.alpha = 0.35;
+            markerMat.backFaceCulling = false;
+            mesh.material = markerMat;
+            this.abilityMarker = { ability: ability, mesh: mesh };
+        }
+
+        const marker = this.abilityMarker.mesh;
+        const ray = new BABYLON.Ray(this.camera.position, this.camera.getForwardRay().direction);
+        const hit = this.scene.pickWithRay(ray, mesh => this.isGroundMesh(mesh));
+        marker.isVisible = hit.hit;
+        if (!hit.hit) return;
+
+        marker.position.copyFrom(hit.pickedPoint);
+        marker.position.y += 0.3;
+        if (stats.targeting === 'line') {
+            const direction = this.aimDirection(hit.pickedPoint);
+            marker.rotation.y = Math.atan2(direction.x, direction.z);
+        }
+        const ready = ability.ready && this.gold >= stats.cost;
+        marker.material.emissiveColor.copyFromFloats(ready ? 1 : 0.4, ready ? 0.15 : 0.4, ready ? 0.1 : 0.4);
+    }
+
+    /**
+     * One button per ability with its hotkey, cost and a cooldown sweep
+     */
+    buildAbilityBar() {
+        const bar = document.getElementById('abilityBar');
+        bar.innerHTML = '';
+        this.abilities.forEach((ability, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'ability-btn';
+            btn.id = ability.constructor.key + 'AbilityBtn';
+            btn.title = `${ability.stats.name} ($${ability.stats.cost})`;
+            btn.innerHTML = `<span class="ability-icon">${ability.stats.icon}</span>` +
+                `<span class="ability-hotkey">${index + 1}</span>` +
+                `<span class="ability-cost">$${ability.stats.cost}</span>` +
+                `<div class="ability-cooldown"></div>`;
+            btn.onclick = () => selectAbility(index);
+            bar.appendChild(btn);
         });
+        this.updateAbilityBar();
+    }
+
+    updateAbilityBar() {
+        if (this.headless) return;
+        this.abilities.forEach(ability => {
+            const btn = document.getElementById(ability.constructor.key + 'AbilityBtn');
+            if (!btn) return;
+            btn.style.setProperty('--cooldown', ability.cooldownRemaining);
+            btn.classList.toggle('selected', ability === this.selectedAbility);
+            btn.classList.toggle('unaffordable', this.gold < ability.stats.cost);
+        });
+    }
+
+    /**
+     * Counters and progress of a run, back at their starting values
+     */
+    resetRunState() {
+        this.gold = this.difficultyPreset.startingGold;
+        this.score = 0;
+        this.towersDestroyed = 0;
+        this.coloniesLost = 0;
+        this.colonyIncome = 0; // Gold paid by colonists over the run
+        this.goldEarned = 0; // Every gold income over the run, starting funds excluded
+        this.goldSpent = 0;
+        this.kills = {}; // Tower type or ability key -> enemies it finished off
+        this.wave = 0;
+        this.enemiesInWave = 4;
+        this.enemiesSpawned = 0;
+        this.gameStarted = false;
+        this.spawnQueue = []; // Pending spawns of the current wave, sorted by time
+        this.waveTime = 0; // Seconds the current wave has been running
+        this.campaignComplete = false;
+        this.isGameOver = false;
+    }
+
+    earnGold(amount) {
+        this.gold += amount;
+        this.goldEarned += amount;
+    }
+
+    spendGold(amount) {
+        this.gold -= amount;
+        this.goldSpent += amount;
     }
 
     async init() {
@@ -177,18 +485,23 @@ class TowerDefenseGame {
         }
     }
 
-    async startGameAfterVideo() {
+    async startGameAfterVideo(saveData = null) {
         // Hide video container
         if (this.videoContainer) {
             this.videoContainer.style.display = 'none';
         }
 
         // Create scene and other game elements
-        await this.createScene();
-        this.weatherSystem = new WeatherSystem(this.scene);
-        this.createTerrain();
-        SprawlingPlant.spawnEcosystem(this.scene, 1, 200);
-        this.createEnhancedPath();
+        try {
+            await this.createWorld();
+        } catch (error) {
+            console.error("❌ Failed to start game:", error);
+            const loading = document.getElementById('loading');
+            loading.style.display = 'block';
+            loading.style.whiteSpace = 'pre-line';
+            loading.textContent = `❌ ${error.message}`;
+            return;
+        }
         this.createCamera();
         this.setupControls();
         this.setupUI();
@@ -207,11 +520,18 @@ class TowerDefenseGame {
         
         // Initialize pause menu
         this.pauseMenu = new PauseMenu(this); // Pass game instance to pause menu
+        this.endScreen = new EndScreen(this);
+
+        // Resume a saved run picked from the main menu
+        if (saveData) {
+            await this.saveManager.restore(saveData);
+        }
 
         // Show UI
         document.getElementById('ui').style.display = 'block';
         document.getElementById('controls').style.display = 'block';
         document.getElementById('waveInfo').style.display = 'block';
+        document.getElementById('abilityBar').style.display = 'flex';
         
         // Setup collapsible menu
         const toggleWeaponSystemsBtn = document.getElementById('toggleWeaponSystems');
@@ -242,8 +562,35 @@ class TowerDefenseGame {
         }
     }
 
+    async createWorld() {
+        await this.loadCampaign();
+        await this.createScene();
+        if (!this.headless) {
+            this.weatherSystem = new WeatherSystem(this.scene, this.particles);
+        }
+        this.createTerrain();
+        SprawlingPlant.spawnEcosystem(this.scene, 1, 200);
+    }
+
+    async loadCampaign() {
+        const options = { enemyTypes: this.enemyTypes, entryPointCount: this.entryPoints.length };
+        if (this.mode === 'endless') {
+            this.campaign = new EndlessCampaign(Object.assign({ rng: this.rng }, options));
+            console.log(`♾️ Endless mode, waves generated from seed ${this.rng.seed}`);
+            return;
+        }
+        const campaign = this.campaignData
+            ? new WaveCampaign(this.campaignData, Object.assign({ source: this.campaignUrl }, options))
+            : await WaveCampaign.load(this.campaignUrl, options);
+        if (this.mode !== 'campaign') return; // Switched to endless while the file loaded
+        this.campaign = campaign;
+        console.log(`📜 Loaded ${this.campaign.name} with ${this.campaign.length} waves`);
+    }
+
     async createScene() {
         this.scene = new BABYLON.Scene(this.engine);
+        this.models = new ModelCache(this.scene);
+        this.particles = new ParticleEffects(this.scene);
         
         // Enhanced lighting with better atmosphere
         const hemiLight = new BABYLON.HemisphericLight("hemiLight", new BABYLON.Vector3(0, 1, 0), this.scene);
@@ -260,6 +607,8 @@ class TowerDefenseGame {
         this.scene.fogDensity = 0.010;
         this.scene.fogColor = new BABYLON.Color3(0.2, 0.2, 0.3);
         
+        if (this.headless) return;
+
         // Skybox with HDR texture
         const hdrTexture = new BABYLON.HDRCubeTexture("assets/images/sky.hdr", this.scene, 512);
         this.scene.environmentTexture = hdrTexture;
@@ -269,45 +618,105 @@ class TowerDefenseGame {
     }
 
     async createTerrain() {
+        if (this.headless) {
+            // No asset loading in Node - a flat stand-in for map.glb
+            this.ground = BABYLON.MeshBuilder.CreateGround("ground", { width: 400, height: 400 }, this.scene);
+            this.buildNavigation();
+            return;
+        }
+
         const meshes = await this.loadModel("assets/models/", "map.glb");
 
         if (meshes.length > 0) {
             this.ground = meshes[0];
             console.log("🌱 Terrain loaded from map.glb", this.ground);
-
+            meshes.forEach(mesh => mesh.computeWorldMatrix(true)); // Not rendered yet, but picked right away
+            this.buildNavigation();
         } else {
             console.error("❌ No meshes found in map.glb");
         }
     }
 
-    createEnhancedPath(startPoint, endPoint) {
-        if (!startPoint || !endPoint) {
-            this.path = [];
-            return;
+    isGroundMesh(mesh) {
+        let current = mesh;
+        while (current) {
+            if (current === this.ground) {
+                return true;
+            }
+            current = current.parent;
+        }
+        return false;
+    }
+
+    buildNavigation() {
+        this.navGrid.buildFromTerrain(this.scene, mesh => this.isGroundMesh(mesh));
+        this.updateRoutes();
+    }
+
+    /**
+     * Re-plans every lane after the layout changed; enemies already walking re-plan from where they stand
+     */
+    updateRoutes() {
+        this.updateLanes();
+        if (!this.targetColony) return;
+
+        this.enemies.forEach(enemy => {
+            enemy.setRoute(this.planRoute(enemy.position, this.targetColony.position));
+        });
+    }
+
+    /**
+     * Plans one lane per entry point, each drawn with its own path line
+     */
+    updateLanes() {
+        this.lanes.forEach(lane => {
+            if (lane.line) lane.line.dispose();
+        });
+        this.lanes = [];
+        if (!this.targetColony) return;
+
+        this.entryPoints.forEach((entryPoint, index) => {
+            const path = this.planRoute(entryPoint, this.targetColony.position);
+            this.lanes.push({ entryPoint: index, path: path, line: this.createPathLine(path, index) });
+        });
+        console.log(`🛤️ Planned ${this.lanes.length} lanes (${this.lanes.map(lane => lane.path.length).join('/')} waypoints)`);
+    }
+
+    /**
+     * Waypoints from startPoint to endPoint around obstacles
+     */
+    planRoute(startPoint, endPoint) {
+        if (this.navGrid.ready) {
+            const route = this.navGrid.findPath(startPoint, endPoint, this.colonyGoalRadius);
+            if (route) {
+                return route.map(point => {
+                    point.y += 0.15; // Slightly above ground
+                    return point;
+                });
+            }
+            console.warn("⚠️ No route to colony - falling back to a straight path");
         }
     
+        // Terrain not loaded yet - straight line
         const points = [];
         const segments = 10; // Number of segments for the path
         for (let i = 0; i <= segments; i++) {
             points.push(BABYLON.Vector3.Lerp(startPoint, endPoint, i / segments));
         }
     
-        this.path = points.map(point => {
+        return points.map(point => {
             point.y = 0.15; // Slightly above ground
             return point;
         });
-    
-        // Clear existing path meshes
-        this.pathMeshes.forEach(mesh => mesh.dispose());
-        this.pathMeshes = [];
-    
-        // Create visual path
-        const pathLine = BABYLON.MeshBuilder.CreateLines("pathLine", { points: this.path }, this.scene);
+    }
+
+    createPathLine(path, index) {
+        if (path.length < 2) return null;
+
+        const pathLine = BABYLON.MeshBuilder.CreateLines("pathLine" + index, { points: path }, this.scene);
         pathLine.color = new BABYLON.Color3(0.8, 0.5, 0.2);
         pathLine.visibility = 0.5; // Make it semi-visible for debugging or style
-        this.pathMeshes.push(pathLine);
-    
-        console.log("🛤️ Dynamic path created with", this.path.length, "waypoints");
+        return pathLine;
     }
 
     createCamera() {
@@ -361,6 +770,15 @@ class TowerDefenseGame {
             if (e.code === 'Escape') {
                 document.exitPointerLock();
             }
+
+            if (e.code === 'KeyU') {
+                if (this.selectedColony) this.upgradeSelectedColony();
+                else this.upgradeSelectedTower();
+            }
+            if (e.code === 'KeyX') this.sellSelectedTower();
+            if (e.code === 'KeyT') this.cycleSelectedTowerTargeting();
+            if (e.code === 'KeyR') this.repairSelectedTower();
+            if (/^Digit[1-9]$/.test(e.code)) this.selectAbility(Number(e.code.slice(5)) - 1);
         });
         
         window.addEventListener('keyup', (e) => { this.keys[e.code] = false; });
@@ -422,16 +840,29 @@ class TowerDefenseGame {
         if (this.isPaused) return;
 
         const ray = new BABYLON.Ray(this.camera.position, this.camera.getForwardRay().direction);
-        const hit = this.scene.pickWithRay(ray, (mesh) => {
-            let current = mesh;
-            while (current) {
-                if (current === this.ground) {
-                    return true;
-                }
-                current = current.parent;
-            }
-            return false;
-        });
+
+        // With an ability being aimed a click uses it on the marked spot
+        if (this.selectedAbility) {
+            const target = this.scene.pickWithRay(ray, mesh => this.isGroundMesh(mesh));
+            if (target.hit) this.useSelectedAbility(target.pickedPoint);
+            return;
+        }
+
+        // Clicking an existing tower selects it instead of building
+        const towerHit = this.scene.pickWithRay(ray, mesh => this.towerForMesh(mesh) !== null);
+        if (towerHit.hit) {
+            this.selectTower(this.towerForMesh(towerHit.pickedMesh));
+            return;
+        }
+        const colonyHit = this.scene.pickWithRay(ray, mesh => this.colonyForMesh(mesh) !== null);
+        if (colonyHit.hit) {
+            this.selectColony(this.colonyForMesh(colonyHit.pickedMesh));
+            return;
+        }
+        this.selectTower(null);
+        this.selectColony(null);
+
+        const hit = this.scene.pickWithRay(ray, mesh => this.isGroundMesh(mesh));
 
         console.log("Casting ray...", {
             hit: hit.hit,
@@ -445,36 +876,297 @@ class TowerDefenseGame {
         }
     }
 
+    towerForMesh(mesh) {
+        for (let current = mesh; current; current = current.parent) {
+            const tower = this.towers.find(t => t.base === current);
+            if (tower) return tower;
+        }
+        return null;
+    }
+
+    colonyForMesh(mesh) {
+        for (let current = mesh; current; current = current.parent) {
+            const colony = this.colonies.find(c => c.mesh === current);
+            if (colony) return colony;
+        }
+        return null;
+    }
+
+    selectTower(tower) {
+        this.selectedTower = tower;
+        if (tower) this.selectColony(null);
+
+        this.showSelectionRing(tower ? tower.base.position : null, tower ? tower.data.range : 0, tower ? tower.data.color : null);
+        this.updateTowerInfo();
+    }
+
+    selectColony(colony) {
+        this.selectedColony = colony;
+        if (colony) this.selectTower(null);
+
+        // Refineries and shield generators show the area they cover
+        const radius = colony ? (colony.data.bonusRadius || colony.data.shieldRadius || 0) : 0;
+        this.showSelectionRing(colony ? colony.position : null, radius, colony ? colony.data.color : null);
+        this.updateColonyInfo();
+    }
+
+    /**
+     * Flat ring on the ground around the selection, e.g. a tower's range. Clears it when
+     * `position` is null or `radius` is 0.
+     */
+    showSelectionRing(position, radius, color) {
+        if (this.selectionRing) {
+            this.selectionRing.dispose();
+            this.selectionRing = null;
+        }
+        if (!position || !radius || this.headless) return;
+
+        this.selectionRing = BABYLON.MeshBuilder.CreateTorus("selectionRing", {
+            diameter: radius * 2,
+            thickness: 0.15,
+            tessellation: 64
+        }, this.scene);
+        this.selectionRing.position = position.clone();
+        this.selectionRing.position.y = 0.3;
+        const ringMat = new BABYLON.StandardMaterial("selectionRingMat", this.scene);
+        ringMat.emissiveColor = BABYLON.Color3.FromHexString(color);
+        ringMat.disableLighting = true;
+        this.selectionRing.material = ringMat;
+        this.selectionRing.isPickable = false;
+    }
+
+    /**
+     * Pays for and applies the tower's next tier. Returns true if it was upgraded.
+     */
+    upgradeTower(tower) {
+        const cost = tower.upgradeCost;
+        if (cost === null) {
+            console.log(`⭐ ${tower.data.name} is already fully upgraded`);
+            return false;
+        }
+        if (this.gold < cost) {
+            console.log("💰 Need $" + (cost - this.gold) + " more gold!");
+            return false;
+        }
+
+        this.spendGold(cost);
+        tower.upgrade();
+        console.log(`⬆️ Upgraded to ${tower.data.name} for ${cost}!`);
+        if (tower === this.selectedTower) this.selectTower(tower); // Range ring may have grown
+        this.updateUI();
+        return true;
+    }
+
+    sellTower(tower) {
+        const refund = tower.sellValue;
+        this.earnGold(refund);
+        this.towers.splice(this.towers.indexOf(tower), 1);
+        this.navGrid.removeObstacle(tower.base.position, this.towerFootprint);
+        tower.dispose();
+        if (tower === this.selectedTower) this.selectTower(null);
+
+        console.log(`💸 Sold ${tower.data.name} for ${refund}`);
+        this.updateRoutes();
+        this.updateUI();
+    }
+
+    /**
+     * Pays for and applies the colony's next tier. Returns true if it was upgraded.
+     */
+    upgradeColony(colony) {
+        const cost = colony.upgradeCost;
+        if (cost === null) {
+            console.log(`⭐ ${colony.data.name} is already fully upgraded`);
+            return false;
+        }
+        if (this.gold < cost) {
+            console.log("💰 Need $" + (cost - this.gold) + " more gold!");
+            return false;
+        }
+
+        this.spendGold(cost);
+        colony.upgrade();
+        console.log(`⬆️ Upgraded to ${colony.data.name} for ${cost}!`);
+        if (colony === this.selectedColony) this.selectColony(colony); // Coverage ring may have grown
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Pays to restore the tower's health. Only allowed between waves.
+     */
+    repairTower(tower) {
+        if (this.gameStarted) {
+            console.log("🔧 Repairs have to wait until the wave is over");
+            return false;
+        }
+        const cost = tower.repairCost;
+        if (cost === 0) return false;
+        if (this.gold < cost) {
+            console.log("💰 Need $" + (cost - this.gold) + " more gold!");
+            return false;
+        }
+
+        this.spendGold(cost);
+        tower.repair();
+        console.log(`🔧 Repaired ${tower.data.name} for ${cost}`);
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Removes a tower that ran out of health
+     */
+    destroyTower(tower) {
+        this.createExplosionParticles(tower.base.position);
+        this.towers.splice(this.towers.indexOf(tower), 1);
+        this.navGrid.removeObstacle(tower.base.position, this.towerFootprint);
+        tower.dispose();
+        if (tower === this.selectedTower) this.selectTower(null);
+        this.towersDestroyed++;
+
+        console.log(`💥 ${tower.data.name} destroyed!`);
+        this.updateRoutes();
+        this.updateUI();
+    }
+
+    upgradeSelectedTower() {
+        if (this.isPaused || !this.selectedTower) return;
+        this.upgradeTower(this.selectedTower);
+    }
+
+    upgradeSelectedColony() {
+        if (this.isPaused || !this.selectedColony) return;
+        this.upgradeColony(this.selectedColony);
+    }
+
+    sellSelectedTower() {
+        if (this.isPaused || !this.selectedTower) return;
+        this.sellTower(this.selectedTower);
+    }
+
+    repairSelectedTower() {
+        if (this.isPaused || !this.selectedTower) return;
+        this.repairTower(this.selectedTower);
+    }
+
+    cycleSelectedTowerTargeting() {
+        if (this.isPaused || !this.selectedTower) return;
+        this.selectedTower.cycleTargeting();
+        console.log(`🎯 ${this.selectedTower.data.name} now targets: ${this.selectedTower.targeting}`);
+        this.updateTowerInfo();
+    }
+
+    updateTowerInfo() {
+        if (this.headless) return;
+
+        const panel = document.getElementById('towerInfo');
+        const tower = this.selectedTower;
+        if (!tower) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+        document.getElementById('towerInfoName').textContent = `${this.getTowerEmoji(tower.type)} ${tower.data.name}`;
+        document.getElementById('towerInfoTier').textContent = `TIER ${tower.tier + 1}/${tower.maxTier + 1}`;
+        const effects = (tower.data.effects || []).map(effect => effect.kind.toUpperCase());
+        document.getElementById('towerInfoStats').textContent =
+            `DMG ${tower.data.damage} ${tower.data.damageType.toUpperCase()} · RNG ${tower.data.range} · ${(1000 / tower.data.fireRate).toFixed(1)}/s` +
+            (effects.length > 0 ? ` · ${effects.join(' + ')}` : '');
+        document.getElementById('towerInfoHealth').textContent =
+            `HP ${Math.ceil(Math.max(0, tower.health))}/${tower.maxHealth} · ARMOR ${tower.armor}`;
+
+        const upgradeBtn = document.getElementById('upgradeTowerBtn');
+        const cost = tower.upgradeCost;
+        upgradeBtn.textContent = cost === null ? 'MAX TIER' : `⬆️ UPGRADE [U] $${cost}`;
+        upgradeBtn.disabled = cost === null || this.gold < cost;
+        const repairBtn = document.getElementById('repairTowerBtn');
+        const repairCost = tower.repairCost;
+        repairBtn.textContent = repairCost === 0 ? '🔧 NO DAMAGE' : `🔧 REPAIR [R] $${repairCost}`;
+        repairBtn.disabled = repairCost === 0 || this.gameStarted || this.gold < repairCost;
+        document.getElementById('sellTowerBtn').textContent = `💸 SELL [X] +$${tower.sellValue}`;
+        document.getElementById('targetingBtn').textContent = `🎯 TARGET: ${tower.targeting.toUpperCase()} [T]`;
+    }
+
+    updateColonyInfo() {
+        if (this.headless) return;
+
+        const panel = document.getElementById('colonyInfo');
+        const colony = this.selectedColony;
+        if (!colony) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+        document.getElementById('colonyInfoName').textContent = `${this.getTowerEmoji(colony.type)} ${colony.data.name}`;
+        document.getElementById('colonyInfoTier').textContent = `TIER ${colony.tier + 1}/${colony.maxTier + 1}`;
+        document.getElementById('colonyInfoStats').textContent =
+            `HP ${Math.ceil(Math.max(0, colony.health))}/${colony.maxHealth} · COLONISTS ${colony.population}/${colony.data.maxPopulation} · +$${colony.income}/WAVE`;
+
+        let special = '';
+        if (colony.data.killBonus) {
+            special = `+${Math.round(colony.data.killBonus * 100)}% KILL GOLD WITHIN ${colony.data.bonusRadius}`;
+        } else if (colony.data.shieldCapacity) {
+            special = `SHIELD ${Math.floor(colony.shield)}/${colony.data.shieldCapacity} · +${colony.data.shieldRecharge}/s · RADIUS ${colony.data.shieldRadius}`;
+        }
+        document.getElementById('colonyInfoSpecial').textContent = special;
+
+        const upgradeBtn = document.getElementById('upgradeColonyBtn');
+        const cost = colony.upgradeCost;
+        upgradeBtn.textContent = cost === null ? 'MAX TIER' : `⬆️ UPGRADE [U] $${cost}`;
+        upgradeBtn.disabled = cost === null || this.gold < cost;
+    }
+
     setupUI() {
         this.updateUI();
         this.selectTowerType('basic');
+        this.buildAbilityBar();
     }
 
     updateUI() {
+        if (this.headless) return;
+
         document.getElementById('gold').textContent = this.gold;
-        document.getElementById('lives').textContent = this.lives;
+        const colonyHealth = this.colonies.reduce((sum, colony) => sum + Math.max(0, colony.health), 0);
+        const colonyMaxHealth = this.colonies.reduce((sum, colony) => sum + colony.maxHealth, 0);
+        document.getElementById('colonyHealth').textContent =
+            colonyMaxHealth > 0 ? `${Math.round(100 * colonyHealth / colonyMaxHealth)}%` : '--';
+        document.getElementById('population').textContent = this.colonies.reduce((sum, colony) => sum + colony.population, 0);
         document.getElementById('score').textContent = this.score;
         document.getElementById('waveNumber').textContent = this.wave;
+        document.getElementById('difficultyLabel').textContent = this.difficultyPreset.name;
+        const wave = this.campaign && this.campaign.getWave(this.wave);
+        document.getElementById('waveTraitLabel').textContent = wave && wave.label ? wave.label.toUpperCase() : '';
         document.getElementById('enemiesLeft').textContent = Math.max(0, this.enemiesInWave - this.enemiesSpawned);
         
-        // Update tower buttons
-        Object.keys(this.towerTypes).forEach(type => {
+        // Update tower and colony buttons
+        const buildable = Object.assign({}, this.towerTypes, this.colonyTypes);
+        Object.keys(buildable).forEach(type => {
             const btn = document.getElementById(type + 'Btn');
-            const towerData = this.towerTypes[type];
+            const towerData = buildable[type];
             if (btn) {
                 btn.disabled = this.gold < towerData.cost;
                 btn.innerHTML = `${this.getTowerEmoji(type)} ${towerData.name} ($${towerData.cost})`;
             }
         });
+
+        this.updateTowerInfo(); // Upgrade affordability follows gold
+        this.updateColonyInfo();
     }
 
     getTowerEmoji(type) {
-        const emojis = { basic: '🔫', missile: '🚀', laser: '⚡', colony: '🏡', playerAttack: '🛸' }; // Added playerAttack emoji
+        const emojis = { basic: '🔫', missile: '🚀', laser: '⚡', cryo: '❄️', shock: '💫', habitat: '🏡', refinery: '🏭', shieldGenerator: '🛡️' };
         return emojis[type] || '🗼';
     }
 
     selectTowerType(type) {
         this.selectedTowerType = type;
+        if (this.selectedAbility) {
+            this.selectedAbility = null; // Back to building
+            this.updateAbilityBar();
+        }
         document.querySelectorAll('.tower-btn').forEach(btn => {
             btn.classList.remove('selected');
         });
@@ -482,49 +1174,27 @@ class TowerDefenseGame {
         if (selectedBtn) {
             selectedBtn.classList.add('selected');
         }
-
-        // If playerAttack is selected, immediately trigger its activation
-        if (type === 'playerAttack') {
-            this.placeTowerAtCrosshair(); // This will call placeTower with playerAttack type
-        }
     }
 
     async placeTower(position) {
         if (this.isPaused) return; 
         
-        const itemData = this.towerTypes[this.selectedTowerType]; // Renamed towerData to itemData for generality
+        const isColony = this.selectedTowerType in this.colonyTypes;
+        const itemData = isColony ? this.colonyTypes[this.selectedTowerType] : this.towerTypes[this.selectedTowerType]; // Renamed towerData to itemData for generality
         if (this.gold >= itemData.cost) {
-            let validPosition = true;
-            
-            // Check distance from other towers (increased spacing)
-            for (let tower of this.towers) {
-                if (BABYLON.Vector3.Distance(position, tower.base.position) < 6) {
-                    validPosition = false;
-                    break;
-                }
-            }
-            
-            // Check distance from other colonies
-            for (let colony of this.colonies) {
-                if (BABYLON.Vector3.Distance(position, colony.mesh.position) < 10) { // Increased spacing for colonies
-                    validPosition = false;
-                    break;
-                }
-            }
+            const validPosition = this.isClearOfStructures(position);
 
-            // Check if not blocking path
-            for (let pathPoint of this.path) {
-                if (BABYLON.Vector3.Distance(position, pathPoint) < 4) {
-                    validPosition = false;
-                    break;
-                }
-            }
+            // Check every lane's entry point can still reach the colony
+            const goal = this.targetColony ? this.targetColony.position : (isColony ? position : null);
+            const footprint = isColony ? this.colonyFootprint : this.towerFootprint;
+            const blocksRoute = validPosition && !this.keepsRoutesOpen(position, footprint, goal);
             
-            if (validPosition) {
-                if (this.selectedTowerType === 'colony') {
-                    const colony = await this.createColony(position);
+            if (validPosition && !blocksRoute) {
+                if (isColony) {
+                    const colony = await this.tryBuild(() => this.createColony(position, this.selectedTowerType), itemData);
+                    if (!colony) return;
                     this.colonies.push(colony);
-                    this.gold -= itemData.cost;
+                    this.spendGold(itemData.cost);
                     this.updateUI();
                     console.log(`🏡 Built ${itemData.name} for ${itemData.cost}!`);
 
@@ -532,104 +1202,353 @@ class TowerDefenseGame {
                         this.targetColony = colony;
                         console.log("🎯 First colony placed, setting as target for enemies.");
                     }
-                } else if (this.selectedTowerType === 'playerAttack') {
-                    this.gold -= itemData.cost;
-                    this.updateUI();
-                    console.log(`🚀 Activating ${itemData.name} for ${itemData.cost}!`);
-                    await this.activatePlayerAttack();
+                    this.updateRoutes();
                 } else {
-                    const tower = await this.createTower(position, this.selectedTowerType);
+                    const tower = await this.tryBuild(() => this.createTower(position, this.selectedTowerType), itemData);
+                    if (!tower) return;
                     this.towers.push(tower);
-                    this.gold -= itemData.cost;
+                    this.spendGold(itemData.cost);
                     this.updateUI();
                     console.log(`🏗️ Built ${itemData.name} tower for ${itemData.cost}!`);
+                    this.updateRoutes();
                 }
             }
+            else if (blocksRoute) {
+                console.log("❌ Invalid placement - would cut the enemies off from the colony");
+            }
             else {
-                console.log("❌ Invalid placement - too close to path or other structures");
+                console.log("❌ Invalid placement - too close to other structures");
             }
         } else {
             console.log("💰 Need $" + (itemData.cost - this.gold) + " more gold!");
         }
     }
 
-    async loadModel(path, fileName) {
-        return new Promise((resolve, reject) => {
-            const dracoFileName = fileName.replace(".glb", "_draco.glb");
-            BABYLON.SceneLoader.ImportMesh("", path, dracoFileName, this.scene, (meshes) => {
-                if (meshes.length > 0) {
-                    console.log(`Successfully loaded Draco compressed model: ${dracoFileName}`);
-                    resolve(meshes);
-                }
-            }, null, (scene, message, exception) => {
-                console.log(`Draco model not found, falling back to standard GLB: ${fileName}`);
-                BABYLON.SceneLoader.ImportMesh("", path, fileName, this.scene, (meshes) => {
-                    if (meshes.length > 0) {
-                        console.log(`Successfully loaded standard model: ${fileName}`);
-                        resolve(meshes);
-                    } else {
-                        console.error(`Failed to load model: ${fileName}`);
-                        reject(`Failed to load model: ${fileName}`);
-                    }
-                }, null, (scene, message, exception) => {
-                    console.error(`Failed to load model: ${fileName}`, exception);
-                    reject(`Failed to load model: ${fileName}`);
-                });
-            });
-        });
+    /**
+     * Runs `build`, or reports why it failed (usually a model that didn't load) and
+     * resolves to null. Nothing is charged for a failed build.
+     */
+    async tryBuild(build, itemData) {
+        try {
+            return await build();
+        } catch (e) {
+            console.error(`❌ Couldn't build ${itemData.name}:`, e);
+            return null;
+        }
     }
 
-    async createTower(position, type) {
-        const towerData = this.towerTypes[type];
-        let modelFileName = "";
+    /**
+     * True if `position` is far enough from every tower and colony to build on
+     */
+    isClearOfStructures(position) {
+        return this.spatial.queryRadius('tower', position, 6).length === 0 &&
+            this.spatial.queryRadius('colony', position, 10).length === 0; // Increased spacing for colonies
+    }
+
+    /**
+     * True if blocking `footprint` around `position` leaves every entry point a way to
+     * `goal` (the target colony unless given)
+     */
+    keepsRoutesOpen(position, footprint, goal = this.targetColony ? this.targetColony.position : null) {
+        if (!goal || !this.navGrid.ready) return true;
+        return this.navGrid.keepsRoutesOpen(position, footprint, this.entryPoints, goal, this.colonyGoalRadius);
+    }
+
+    /**
+     * Meshes of a copy of a model file, root first (see ModelCache)
+     * @param {boolean} instanced Share geometry and materials with other copies - for
+     *     models whose materials are never changed per copy, like enemies
+     */
+    async loadModel(path, fileName, instanced = false) {
+        if (this.headless) {
+            // Placeholder mesh so gameplay code can position and dispose it as usual
+            return [BABYLON.MeshBuilder.CreateBox(fileName, { size: 2 }, this.scene)];
+        }
+        return this.models.instantiate(path, fileName, instanced);
+    }
+
+    /**
+     * Loads model files ahead of use, so building from them later can't fail halfway
+     */
+    async preloadModels(fileNames) {
+        if (this.headless) return;
+        await Promise.all([...new Set(fileNames)].map(fileName => this.models.load("assets/models/", fileName)));
+    }
+
+    towerModelFile(type) {
         switch (type) {
             case "basic":
-                modelFileName = "basic_tower.glb";
-                break;
+                return "basic_tower.glb";
             case "missile":
-                modelFileName = "missile_tower.glb";
-                break;
+                return "missile_tower.glb";
             case "laser":
-                modelFileName = "laser_tower.glb";
-                break;
+                return "laser_tower.glb";
+            case "cryo":
+                return "basic_tower.glb"; // Shares the hull, tinted by its definition
+            case "shock":
+                return "missile_turret.glb";
         }
+        return "";
+    }
 
-        const meshes = await this.loadModel("assets/models/", modelFileName);
+    async createTower(position, type) {
+        const meshes = await this.loadModel("assets/models/", this.towerModelFile(type));
         const towerMesh = meshes[0];
         towerMesh.position = position.clone();
         towerMesh.position.y = 1;
+        this.navGrid.addObstacle(position, this.towerFootprint);
 
-        const tower = {
-            base: towerMesh,
-            turret: towerMesh, // Assuming the whole model is the turret for now
-            type: type,
-            data: towerData,
-            lastFired: 0,
-            target: null
-        };
+        const tower = new Tower(this, type, towerMesh);
+        this.spatial.insert(tower, 'tower', towerMesh.position);
+        this.createHealthBar(tower, towerMesh, 4);
+        tower.updateCondition();
         return tower;
     }
 
-    async createColony(position) {
-        const colony = new Colony(this.scene, position, this);
+    /**
+     * Disposes every tower, colony, enemy, projectile and plant (used before loading a save)
+     */
+    clearRun() {
+        this.runGeneration++;
+        this.enemiesLoading = 0;
+        this.enemies.forEach(enemy => enemy.dispose());
+        this.projectiles.forEach(proj => proj.pool.release(proj.mesh));
+        this.enemyProjectiles.forEach(proj => proj.pool.release(proj.mesh));
+        this.beams.forEach(beam => beam.pool.release(beam.mesh));
+        this.airstrikes.forEach(airstrike => airstrike.dispose());
+        this.abilities.forEach(ability => ability.reset());
+        this.selectTower(null);
+        this.selectColony(null);
+        this.towers.forEach(tower => tower.dispose());
+        this.colonies.forEach(colony => colony.dispose());
+
+        this.enemies = [];
+        this.projectiles = [];
+        this.enemyProjectiles = [];
+        this.beams = [];
+        this.airstrikes = [];
+        this.towers = [];
+        this.colonies = [];
+        this.targetColony = null;
+        this.isGameOver = false;
+        this.navGrid.clearObstacles();
+        this.updateLanes();
+
+        SprawlingPlant.clearAll();
+        PredatoryThornvine.clearAll();
+    }
+
+    async createColony(position, type = 'habitat') {
+        const colony = new Colony(this.scene, position, this, type);
         await colony.loadModel();
+        this.spatial.insert(colony, 'colony', colony.position);
+        this.createHealthBar(colony, colony.mesh, 12);
+        colony.updateHealthBar();
+        if (colony.data.shieldCapacity && !this.headless) {
+            this.createShieldDome(colony);
+        }
+        this.navGrid.addObstacle(position, this.colonyFootprint);
         return colony;
     }
 
+    /**
+     * Translucent half-sphere over everything a shield generator protects
+     */
+    createShieldDome(colony) {
+        const dome = BABYLON.MeshBuilder.CreateSphere("shieldDome", {
+            diameter: colony.definition.shieldRadius * 2,
+            slice: 0.5,
+            segments: 24,
+            sideOrientation: BABYLON.Mesh.DOUBLESIDE
+        }, this.scene);
+        dome.position = colony.position.clone();
+        dome.isPickable = false;
+
+        const domeMat = new BABYLON.StandardMaterial("shieldDomeMat", this.scene);
+        domeMat.diffuseColor = BABYLON.Color3.FromHexString(colony.data.color);
+        domeMat.emissiveColor = domeMat.diffuseColor.scale(0.6);
+        domeMat.specularColor = BABYLON.Color3.Black();
+        dome.material = domeMat;
+
+        colony.shieldDome = dome;
+        colony.applyTierVisuals();
+        colony.updateShieldDome();
+    }
+
+    /**
+     * Razes a colony. Its neighbours lose colonists to panic and the enemies march on
+     * the nearest survivor; losing the last colony ends the game.
+     */
+    destroyColony(colony) {
+        this.createExplosionParticles(colony.position);
+        this.colonies.splice(this.colonies.indexOf(colony), 1);
+        this.navGrid.removeObstacle(colony.position, this.colonyFootprint);
+        colony.dispose();
+        if (colony === this.selectedColony) this.selectColony(null);
+        this.coloniesLost++;
+        console.log(`🏚️ A colony has fallen! ${this.colonies.length} remaining`);
+
+        if (this.colonies.length === 0) {
+            this.targetColony = null;
+            this.updateUI();
+            this.gameOver();
+            return;
+        }
+
+        this.colonies.forEach(survivor => survivor.losePopulation(this.colonyPanic));
+        if (colony === this.targetColony) {
+            let nearest = this.colonies[0];
+            for (let survivor of this.colonies) {
+                if (BABYLON.Vector3.Distance(survivor.position, colony.position) <
+                    BABYLON.Vector3.Distance(nearest.position, colony.position)) {
+                    nearest = survivor;
+                }
+            }
+            this.targetColony = nearest;
+        }
+        this.updateRoutes();
+        this.updateUI();
+    }
+
     startGameLoop() {
+        // Gameplay runs in fixed steps; the render loop only feeds it frame time
+        this.clock.onStep((dt) => this.updateSimulation(dt));
+
+        if (this.headless) return; // runHeadless() steps the clock directly
+
         this.scene.registerBeforeRender(() => {
-            if (this.isPaused) return; 
+            if (this.isPaused || this.isGameOver) return; // The end screen freezes a lost run
             
             this.updateCamera();
-            this.updateEnemies();
-            this.updateTowers();
-            this.updateProjectiles();
-            this.updateEnemyProjectiles();
-            this.spawnEnemies();
-            this.checkWaveComplete();
+            this.clock.advance(this.engine.getDeltaTime());
+            this.interpolateMeshes();
+            this.updateAbilityMarker();
+            this.updateAbilityBar();
         });
     }
 
+    /**
+     * Plays a scripted run without rendering. Used by simulate.js for balance sweeps.
+     * @param {Object} scenario { colony: {x, z}, towers: [{type, x, z}], waves, repair }
+     * @returns {Promise<Object>} Summary of the run
+     */
+    async runHeadless(scenario) {
+        await this.createWorld();
+        this.startGameLoop();
+
+        let placementsRejected = 0;
+        const build = async (type, spot) => {
+            this.selectedTowerType = type;
+            const built = this.towers.length + this.colonies.length;
+            await this.placeTower(new BABYLON.Vector3(spot.x, 0, spot.z));
+            if (this.towers.length + this.colonies.length === built) {
+                placementsRejected++;
+                console.warn(`Could not build ${type} at (${spot.x}, ${spot.z})`);
+            }
+        };
+
+        const colony = scenario.colony || { x: 0, z: 0 };
+        await build(colony.type || 'habitat', colony);
+        for (const spot of scenario.colonies || []) {
+            await build(spot.type, spot);
+        }
+        for (const spot of scenario.towers || []) {
+            const built = this.towers.length;
+            await build(spot.type, spot);
+            // Optional "tier": upgrades bought right after building
+            for (let tier = 0; this.towers.length > built && tier < (spot.tier || 0); tier++) {
+                this.upgradeTower(this.towers[this.towers.length - 1]);
+            }
+            if (this.towers.length > built && spot.targeting) {
+                this.towers[this.towers.length - 1].targeting = spot.targeting;
+            }
+        }
+
+        const maxStepsPerWave = 30 * 60 * 1000 / this.clock.stepMs; // Give up on a wave after 30 simulated minutes
+        let wavesCleared = 0;
+        let timedOut = false;
+        let repairSpent = 0;
+        for (let i = 0; i < scenario.waves && !this.isGameOver && !timedOut; i++) {
+            // Patch up between waves like a player would, unless the scenario says not to
+            if (scenario.repair !== false) {
+                for (const tower of this.towers) {
+                    const cost = tower.repairCost;
+                    if (this.repairTower(tower)) repairSpent += cost;
+                }
+            }
+            if (!this.startNextWave()) break; // Campaign has no more waves
+            let steps = 0;
+            while (this.gameStarted && !this.isGameOver) {
+                this.clock.step();
+                await null; // Lets spawns waiting on loadModel() finish before the next step
+                if (++steps >= maxStepsPerWave) {
+                    timedOut = true;
+                    break;
+                }
+            }
+            if (!this.gameStarted && !this.isGameOver) wavesCleared++;
+        }
+
+        return {
+            seed: this.rng.seed,
+            mode: this.mode,
+            difficulty: this.difficulty,
+            wavesRequested: scenario.waves,
+            campaignLength: this.campaign.length,
+            waveReached: this.wave,
+            wavesCleared: wavesCleared,
+            colonyHealth: Math.round(this.colonies.reduce((sum, colony) => sum + Math.max(0, colony.health), 0)),
+            coloniesLost: this.coloniesLost,
+            population: this.colonies.reduce((sum, colony) => sum + colony.population, 0),
+            colonyIncome: this.colonyIncome,
+            gold: this.gold,
+            goldEarned: this.goldEarned,
+            goldSpent: this.goldSpent,
+            score: this.score,
+            kills: this.kills,
+            towersBuilt: this.towers.length,
+            towerTiers: this.towers.map(tower => tower.tier + 1).join(''),
+            towersDestroyed: this.towersDestroyed,
+            repairSpent: repairSpent,
+            placementsRejected: placementsRejected,
+            simSeconds: Math.round(this.clock.time / 1000),
+            gameOver: this.isGameOver,
+            timedOut: timedOut
+        };
+    }
+
+    updateSimulation(dt) {
+        this.colonies.forEach(colony => colony.update(dt));
+        this.updateEnemies(dt);
+        this.updateTowers();
+        this.updateProjectiles(dt);
+        this.updateBeams(dt);
+        this.updateEnemyProjectiles(dt);
+        this.updateAirstrikes(dt);
+        this.abilities.forEach(ability => ability.update(dt));
+        this.spawnEnemies(dt);
+        this.checkWaveComplete();
+    }
+
+    interpolateMeshes() {
+        // Draw moving objects between their last two simulated positions
+        for (const enemy of this.enemies) {
+            this.clock.interpolate(enemy.prevPosition, enemy.position, enemy.mesh.position);
+        }
+        for (const proj of this.projectiles) {
+            this.clock.interpolate(proj.prevPosition, proj.position, proj.mesh.position);
+        }
+        for (const proj of this.enemyProjectiles) {
+            this.clock.interpolate(proj.prevPosition, proj.position, proj.mesh.position);
+        }
+        for (const airstrike of this.airstrikes) {
+            if (airstrike.mesh) this.clock.interpolate(airstrike.prevPosition, airstrike.position, airstrike.mesh.position);
+            if (airstrike.bomb && airstrike.bomb.mesh) {
+                this.clock.interpolate(airstrike.bomb.prevPosition, airstrike.bomb.position, airstrike.bomb.mesh.position);
+            }
+        }
+    }
+
     updateCamera() {
         if (this.isPaused) return;
 
@@ -673,16 +1592,7 @@ class TowerDefenseGame {
             // Ray starts from high above the camera's XZ position and goes down.
             const ray = new BABYLON.Ray(new BABYLON.Vector3(this.camera.position.x, 1000, this.camera.position.z), new BABYLON.Vector3(0, -1, 0));
             
-            const hit = this.scene.pickWithRay(ray, (mesh) => {
-                let current = mesh;
-                while (current) {
-                    if (current === this.ground) {
-                        return true;
-                    }
-                    current = current.parent;
-                }
-                return false;
-            });
+            const hit = this.scene.pickWithRay(ray, mesh => this.isGroundMesh(mesh));
 
             if (hit && hit.pickedPoint) {
                 const playerHeight = 4.0; // How high the camera is above the ground
@@ -693,229 +1603,210 @@ class TowerDefenseGame {
         }
     }
 
-    async spawnEnemies() {
-        if (!this.gameStarted || this.enemiesSpawned >= this.enemiesInWave || this.isPaused) return; 
+    spawnEnemies(dt) {
+        if (!this.gameStarted || this.isPaused) return; 
+        if (!this.targetColony) return; // The wave clock waits until a colony exists
         
-        // Slower spawn rate
-        if (Math.random() < 0.008) {
-            await this.spawnEnemy();
+        this.waveTime += dt;
+        while (this.spawnQueue.length > 0 && this.spawnQueue[0].at <= this.waveTime) {
+            const spawn = this.spawnQueue.shift();
+            this.spawnEnemy(spawn.enemy, spawn.entryPoint);
         }
     }
 
-    async spawnEnemy() {
+    /**
+     * Counts the spawn straight away, so the wave neither ends while the model loads nor
+     * waits forever on one that fails
+     */
+    spawnEnemy(typeName, entryPointIndex) {
+        this.enemiesSpawned++;
         if (!this.targetColony) return; // Don't spawn until a colony exists
 
-        const startPoint = this.entryPoints[Math.floor(Math.random() * this.entryPoints.length)];
-        this.createEnhancedPath(startPoint, this.targetColony.mesh.position);
-
-        if (this.path.length === 0) return;
-
-        let modelFileName = "enemy.glb";
-        let baseHealth = 60;
-        let baseSpeed = 0.002;
-        let baseReward = 15;
-
-        if (this.wave > 1) {
-            modelFileName = "enemy2.glb";
-            baseHealth = 100; // Example: stronger enemy
-            baseSpeed = 0.0025; // Example: slightly faster
-            baseReward = 25; // Example: better reward
-        }
-
-        const meshes = await this.loadModel("assets/models/", modelFileName);
-        const enemyMesh = meshes[0];
-        enemyMesh.position = this.path[0].clone();
-        enemyMesh.position.y = 1;
-
-        const enemyData = {
-            mesh: enemyMesh,
-            health: baseHealth + (this.wave * 20),
-            maxHealth: baseHealth + (this.wave * 20),
-            speed: baseSpeed + (this.wave * 0.0004),
-            pathIndex: 0,
-            pathProgress: 0,
-            reward: baseReward + this.wave * 2,
-            lastShot: 0,
-            fireRate: 2000, // ms
-            range: 15,
-            target: null
-        };
+        const generation = this.runGeneration;
+        this.enemiesLoading++;
+        this.loadEnemy(typeName, entryPointIndex, generation)
+            .catch(error => console.error(`❌ Failed to spawn ${typeName}:`, error))
+            .finally(() => {
+                if (generation === this.runGeneration) this.enemiesLoading--;
+            });
+    }
 
-        this.createHealthBar(enemyData);
-        this.enemies.push(enemyData);
-        this.enemiesSpawned++;
-        
-        console.log(`👹 Enemy spawned from ${modelFileName} (${this.enemiesSpawned}/${this.enemiesInWave})`);
+    async loadEnemy(typeName, entryPointIndex, generation) {
+        const spawnPosition = this.lanes[entryPointIndex].path[0].clone();
+        spawnPosition.y += Enemy.HOVER_HEIGHT;
+        const modifiers = this.difficultyModifiers(this.campaign.getWave(this.wave).modifiers);
+        const enemy = await Enemy.spawn(this, typeName, spawnPosition, modifiers);
+        if (generation !== this.runGeneration) { // The run was cleared while the model loaded
+            enemy.dispose();
+            return;
+        }
+        enemy.setRoute(this.lanes[entryPointIndex].path); // Read after the load, in case the route was rebuilt meanwhile
+
+        this.addEnemy(enemy);
+        console.log(`👹 ${typeName} spawned (${this.enemiesSpawned}/${this.enemiesInWave})`);
     }
 
-    createHealthBar(enemyData) {
-        const healthBar = BABYLON.MeshBuilder.CreatePlane("healthBar", {width: 2, height: 0.3}, this.scene);
-        healthBar.position.y = 2.5;
-        healthBar.parent = enemyData.mesh;
-        healthBar.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
-        
-        const healthMat = new BABYLON.StandardMaterial("healthMat", this.scene);
-        healthMat.diffuseColor = new BABYLON.Color3(0, 1, 0);
-        healthMat.emissiveColor = new BABYLON.Color3(0, 0.3, 0);
-        healthBar.material = healthMat;
+    /**
+     * Puts a spawned or restored enemy into play
+     */
+    addEnemy(enemy) {
+        this.createHealthBar(enemy);
+        this.enemies.push(enemy);
+        this.spatial.insert(enemy, 'enemy', enemy.position);
+    }
+
+    /**
+     * Billboard bar above `parent` (the enemy's mesh by default), stored as `entity.healthBar`.
+     * Bars come from a pool; owners hand theirs back with releaseHealthBar.
+     */
+    createHealthBar(entity, parent = entity.mesh, height = 2.5) {
+        const healthBar = this.pool('healthBar', () => {
+            const mesh = BABYLON.MeshBuilder.CreatePlane("healthBar", {width: 2, height: 0.3}, this.scene);
+            mesh.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+            mesh.isPickable = false;
+            return mesh;
+        }).acquire();
+        healthBar.parent = parent;
+        healthBar.position.set(0, height, 0);
+        healthBar.isVisible = true;
+        this.setHealthBar(healthBar, 1);
         
-        enemyData.healthBar = healthBar;
-    }
-
-    createHitParticles(position) {
-        const particleEffects = [
-            // Effect 1: Small, quick orange/red sparks
-            (pos) => {
-                const ps = new BABYLON.ParticleSystem("hitParticles1", 100, this.scene); // Increased capacity
-                ps.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-                ps.emitter = pos.clone().add(new BABYLON.Vector3(0, 0.5, 0)); // Offset emitter slightly
-                ps.minEmitBox = new BABYLON.Vector3(-0.5, -0.5, -0.5); // Increased emit box
-                ps.maxEmitBox = new BABYLON.Vector3(0.5, 0.5, 0.5); // Increased emit box
-                ps.color1 = new BABYLON.Color4(1.0, 0.5, 0.0, 1.0);
-                ps.color2 = new BABYLON.Color4(1.0, 0.0, 0.0, 1.0);
-                ps.colorDead = new BABYLON.Color4(0.5, 0.0, 0.0, 0.0);
-                ps.minSize = 0.5; // Significantly increased size
-                ps.maxSize = 1.0; // Significantly increased size
-                ps.minLifeTime = 0.5; // Increased lifetime
-                ps.maxLifeTime = 1.0; // Increased lifetime
-                ps.emitRate = 100; // Increased emit rate
-                ps.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-                ps.gravity = new BABYLON.Vector3(0, -10, 0); // Increased gravity
-                ps.direction1 = new BABYLON.Vector3(-2, -2, -2);
-                ps.direction2 = new BABYLON.Vector3(2, 2, 2);
-                ps.minEmitPower = 2;
-                ps.maxEmitPower = 5;
-                ps.updateSpeed = 0.1; // Increased speed
-                ps.disposeOnStop = true;
-                ps.targetStopDuration = 0.5; // Increased duration
-                return ps;
-            },
-            // Effect 2: Slightly larger, more yellow/white flash
-            (pos) => {
-                const ps = new BABYLON.ParticleSystem("hitParticles2", 80, this.scene); // Increased capacity
-                ps.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-                ps.emitter = pos.clone().add(new BABYLON.Vector3(0, 0.5, 0)); // Offset emitter slightly
-                ps.minEmitBox = new BABYLON.Vector3(-0.7, -0.7, -0.7);
-                ps.maxEmitBox = new BABYLON.Vector3(0.7, 0.7, 0.7);
-                ps.color1 = new BABYLON.Color4(1.0, 1.0, 0.5, 1.0);
-                ps.color2 = new BABYLON.Color4(1.0, 0.8, 0.0, 1.0);
-                ps.colorDead = new BABYLON.Color4(0.8, 0.8, 0.0, 0.0);
-                ps.minSize = 0.6; // Significantly increased size
-                ps.maxSize = 1.2; // Significantly increased size
-                ps.minLifeTime = 0.6;
-                ps.maxLifeTime = 1.2;
-                ps.emitRate = 80; // Increased emit rate
-                ps.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-                ps.gravity = new BABYLON.Vector3(0, -12, 0); // Increased gravity
-                ps.direction1 = new BABYLON.Vector3(-2.5, -2.5, -2.5);
-                ps.direction2 = new BABYLON.Vector3(2.5, 2.5, 2.5);
-                ps.minEmitPower = 2.0;
-                ps.maxEmitPower = 6.0;
-                ps.updateSpeed = 0.12; // Increased speed
-                ps.disposeOnStop = true;
-                ps.targetStopDuration = 0.6; // Increased duration
-                return ps;
-            },
-            // Effect 3: Blue/purple energy burst (for laser hits, but can be randomized)
-            (pos) => {
-                const ps = new BABYLON.ParticleSystem("hitParticles3", 120, this.scene);
-                ps.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-                ps.emitter = pos.clone().add(new BABYLON.Vector3(0, 0.5, 0)); // Offset emitter slightly
-                ps.minEmitBox = new BABYLON.Vector3(-0.8, -0.8, -0.8);
-                ps.maxEmitBox = new BABYLON.Vector3(0.8, 0.8, 0.8);
-                ps.color1 = new BABYLON.Color4(0.5, 0.0, 1.0, 1.0);
-                ps.color2 = new BABYLON.Color4(0.0, 0.0, 1.0, 1.0);
-                ps.colorDead = new BABYLON.Color4(0.0, 0.0, 0.5, 0.0);
-                ps.minSize = 0.7; // Significantly increased size
-                ps.maxSize = 1.5; // Significantly increased size
-                ps.minLifeTime = 0.8;
-                ps.maxLifeTime = 1.5;
-                ps.emitRate = 100; // Increased emit rate
-                ps.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-                ps.gravity = new BABYLON.Vector3(0, -15, 0); // Increased gravity
-                ps.direction1 = new BABYLON.Vector3(-3, -3, -3);
-                ps.direction2 = new BABYLON.Vector3(3, 3, 3);
-                ps.minEmitPower = 3.0;
-                ps.maxEmitPower = 8.0;
-                ps.updateSpeed = 0.15; // Increased speed
-                ps.disposeOnStop = true;
-                ps.targetStopDuration = 0.8; // Increased duration
-                return ps;
-            }
-        ];
+        entity.healthBar = healthBar;
+    }
+
+    releaseHealthBar(entity) {
+        if (!entity.healthBar) return;
+        this.pools.healthBar.release(entity.healthBar);
+        entity.healthBar = null;
+    }
 
-        const randomIndex = Math.floor(Math.random() * particleEffects.length);
-        const selectedEffect = particleEffects[randomIndex](position);
-        selectedEffect.start();
+    /**
+     * Pool of reusable meshes for `key`, built with `create` on first use
+     */
+    pool(key, create) {
+        if (!this.pools[key]) this.pools[key] = new MeshPool(create);
+        return this.pools[key];
+    }
+
+    /**
+     * Row of coloured pips over an enemy, one per active status effect
+     */
+    updateStatusIndicator(enemy) {
+        if (this.headless) return;
+
+        if (enemy.statusIndicator) {
+            enemy.statusIndicator.dispose();
+            enemy.statusIndicator = null;
+        }
+        const kinds = Object.keys(enemy.effects.active);
+        if (kinds.length === 0) return;
+
+        const indicator = new BABYLON.TransformNode("statusIndicator", this.scene);
+        indicator.parent = enemy.mesh;
+        indicator.position.y = 3.1;
+        indicator.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        kinds.forEach((kind, i) => {
+            const pip = BABYLON.MeshBuilder.CreateSphere("statusPip", { diameter: 0.35, segments: 6 }, this.scene);
+            pip.parent = indicator;
+            pip.position.x = (i - (kinds.length - 1) / 2) * 0.45;
+            pip.material = this.statusMaterial(kind);
+            pip.isPickable = false;
+        });
+        enemy.statusIndicator = indicator;
+    }
+
+    /** One glowing material per effect kind, shared by every pip */
+    statusMaterial(kind) {
+        if (!this.statusMaterials[kind]) {
+            const material = new BABYLON.StandardMaterial(`status_${kind}`, this.scene);
+            material.emissiveColor = BABYLON.Color3.FromHexString(StatusEffects.KINDS[kind].color);
+            material.disableLighting = true;
+            this.statusMaterials[kind] = material;
+        }
+        return this.statusMaterials[kind];
+    }
+
+    /**
+     * Shrinks a health bar to `healthPercent` and fades it from green to red
+     */
+    setHealthBar(healthBar, healthPercent) {
+        healthBar.scaling.x = Math.max(0.001, healthPercent);
+        healthBar.material = this.healthMaterial(Math.round(Math.max(0, healthPercent) * this.healthBarSteps));
+    }
+
+    /** Bar colour for `step` out of healthBarSteps, green when full */
+    healthMaterial(step) {
+        if (!this.healthMaterials[step]) {
+            const share = step / this.healthBarSteps;
+            const material = new BABYLON.StandardMaterial(`healthMat_${step}`, this.scene);
+            material.diffuseColor = new BABYLON.Color3(1 - share, share, 0);
+            material.emissiveColor = new BABYLON.Color3((1 - share) * 0.3, share * 0.3, 0);
+            this.healthMaterials[step] = material;
+        }
+        return this.healthMaterials[step];
+    }
+
+    /** One material per tower type (or 'enemy') for its shots */
+    projectileMaterial(key, color) {
+        if (!this.projectileMaterials[key]) {
+            const material = new BABYLON.StandardMaterial(`projMat_${key}`, this.scene);
+            material.diffuseColor = BABYLON.Color3.FromHexString(color);
+            material.emissiveColor = material.diffuseColor.scale(0.8);
+            this.projectileMaterials[key] = material;
+        }
+        return this.projectileMaterials[key];
+    }
+
+    /**
+     * Sparks for one hit, styled by its damage type and scaled by how much got through
+     * @param {Object} hit Result of Damage.apply()
+     */
+    createHitParticles(position, hit) {
+        if (this.headless) return;
+
+        const preset = { kinetic: 'hitKinetic', explosive: 'hitExplosive', energy: 'hitEnergy' }[hit.type] || 'hitKinetic';
+
+        // Bigger hits throw more sparks; mostly-armored hits glance off in grey
+        const overrides = { emitRate: ParticleEffects.PRESETS[preset].emitRate * Math.min(2, Math.max(0.4, hit.dealt / 40)) };
+        if (hit.blocked > hit.dealt) {
+            overrides.color1 = [0.7, 0.7, 0.7, 1.0];
+            overrides.color2 = [0.4, 0.4, 0.4, 1.0];
+        }
+        this.particles.spawn(preset, position, overrides);
+    }
+
+    createHealParticles(position) {
+        if (this.headless) return;
+        this.particles.spawn('heal', position);
     }
 
     createExplosionParticles(position) {
-        const explosionParticles = new BABYLON.ParticleSystem("explosionParticles", 500, this.scene); // Increased capacity
-        explosionParticles.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-        explosionParticles.emitter = position.clone().add(new BABYLON.Vector3(0, 1, 0)); // Offset emitter slightly higher
-        explosionParticles.minEmitBox = new BABYLON.Vector3(-2, -2, -2); // Larger emit box
-        explosionParticles.maxEmitBox = new BABYLON.Vector3(2, 2, 2); // Larger emit box
-        explosionParticles.color1 = new BABYLON.Color4(1.0, 0.5, 0.0, 1.0);
-        explosionParticles.color2 = new BABYLON.Color4(1.0, 0.0, 0.0, 1.0);
-        explosionParticles.colorDead = new BABYLON.Color4(0.0, 0.0, 0.0, 0.0);
-        explosionParticles.minSize = 2.0; // Significantly increased size
-        explosionParticles.maxSize = 5.0; // Significantly increased size
-        explosionParticles.minLifeTime = 1.0; // Increased lifetime
-        explosionParticles.maxLifeTime = 3.0; // Increased lifetime
-        explosionParticles.emitRate = 500; // Increased for larger burst
-        explosionParticles.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-        explosionParticles.gravity = new BABYLON.Vector3(0, -20, 0); // Increased gravity
-        explosionParticles.direction1 = new BABYLON.Vector3(-10, -10, -10); // Wider spread
-        explosionParticles.direction2 = new BABYLON.Vector3(10, 10, 10); // Wider spread
-        explosionParticles.minEmitPower = 15; // Increased power
-        explosionParticles.maxEmitPower = 30; // Increased power
-        explosionParticles.updateSpeed = 0.15; // Increased speed
-        explosionParticles.disposeOnStop = true;
-        explosionParticles.targetStopDuration = 1.0; // Increased duration
-        explosionParticles.start();
-    }
-
-    updateEnemies() {
+        if (this.headless) return;
+        this.particles.spawn('explosion', position);
+    }
+
+    updateEnemies(dt) {
         if (this.isPaused) return; 
         
-        const currentTime = Date.now();
+        const currentTime = this.clock.time;
 
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
+            enemy.update(dt, currentTime);
+            this.spatial.update(enemy);
             
-            // Move along path
-            if (enemy.pathIndex < this.path.length - 1) {
-                enemy.pathProgress += enemy.speed;
-                if (enemy.pathProgress >= 1) {
-                    enemy.pathIndex++;
-                    enemy.pathProgress = 0;
-                }
-                
-                if (enemy.pathIndex < this.path.length - 1) {
-                    enemy.mesh.position = BABYLON.Vector3.Lerp(
-                        this.path[enemy.pathIndex],
-                        this.path[enemy.pathIndex + 1],
-                        enemy.pathProgress
-                    );
-                    enemy.mesh.position.y = 1;
-                    
-                    // Face movement direction
-                    const direction = this.path[enemy.pathIndex + 1].subtract(this.path[enemy.pathIndex]);
-                    enemy.mesh.lookAt(enemy.mesh.position.add(direction));
-                }
-            } else {
-                // Reached end - lose life
-                this.lives--;
-                enemy.mesh.dispose();
-                if (enemy.healthBar) enemy.healthBar.dispose();
+            if (enemy.reachedEnd) {
+                // Reached the colony - it takes the enemy's siege damage
+                enemy.dispose();
                 this.enemies.splice(i, 1);
-                this.updateUI();
-                console.log(`💔 Lost a life! Lives remaining: ${this.lives}`);
-                
-                if (this.lives <= 0) {
-                    alert(`💀 GAME OVER!\n\nFinal Score: ${this.score}\nWaves Survived: ${this.wave}\n\nPress OK to restart`);
-                    location.reload();
+                const colony = this.targetColony;
+                if (colony) {
+                    colony.takeDamage(enemy.siege);
+                    console.log(`💔 Colony hit by ${enemy.type}! ${Math.max(0, Math.round(colony.health))}/${colony.maxHealth} HP`);
+                    if (colony.health <= 0) this.destroyColony(colony);
+                    if (this.isGameOver) return;
                 }
+                this.updateUI();
                 continue;
             }
             
@@ -927,70 +1818,43 @@ class TowerDefenseGame {
                     this.firstEnemyKilled = true; // Set flag to true so it only plays once
                 }
 
-                this.gold += enemy.reward;
+                const reward = Math.round(enemy.reward * (1 + this.killBonusAt(enemy.position)));
+                this.earnGold(reward);
                 this.score += enemy.reward * 15;
-                enemy.mesh.dispose();
-                if (enemy.healthBar) enemy.healthBar.dispose();
+                const killer = enemy.lastHitBy || 'other';
+                this.kills[killer] = (this.kills[killer] || 0) + 1;
+                enemy.dispose();
                 this.enemies.splice(i, 1);
                 this.updateUI();
-                console.log(`💰 +${enemy.reward} gold! Enemy defeated`);
-                continue;
-            }
-            
-            // Update health bar
-            if (enemy.healthBar) {
-                const healthPercent = enemy.health / enemy.maxHealth;
-                enemy.healthBar.scaling.x = healthPercent;
-                const healthMat = enemy.healthBar.material;
-                healthMat.diffuseColor = new BABYLON.Color3(1 - healthPercent, healthPercent, 0);
-                healthMat.emissiveColor = new BABYLON.Color3((1 - healthPercent) * 0.3, healthPercent * 0.3, 0);
+                console.log(`💰 +${reward} gold! ${enemy.type} defeated`);
             }
+        }
+    }
 
-            // Enemy shooting logic
-            let target = null;
-            let closestDist = enemy.range;
-
-            for (let tower of this.towers) {
-                const dist = BABYLON.Vector3.Distance(enemy.mesh.position, tower.base.position);
-                if (dist < closestDist) {
-                    target = tower;
-                    closestDist = dist;
-                }
-            }
-            enemy.target = target;
-
-            if (enemy.target) {
-                if (currentTime - enemy.lastShot > enemy.fireRate) {
-                    this.fireEnemyProjectile(enemy);
-                    enemy.lastShot = currentTime;
-                }
+    /**
+     * Extra share of the reward for a kill at `position` - the best refinery in range counts
+     */
+    killBonusAt(position) {
+        let bonus = 0;
+        for (let colony of this.colonies) {
+            if (colony.data.killBonus && BABYLON.Vector3.Distance(colony.position, position) < colony.data.bonusRadius) {
+                bonus = Math.max(bonus, colony.data.killBonus);
             }
         }
+        return bonus;
     }
 
     updateTowers() {
         if (this.isPaused) return; 
         
-        const currentTime = Date.now();
+        const currentTime = this.clock.time;
         
         for (let tower of this.towers) {
-            let target = null;
-            let closestDist = tower.data.range;
-            
-            // Find closest enemy in range
-            for (let enemy of this.enemies) {
-                const dist = BABYLON.Vector3.Distance(tower.base.position, enemy.mesh.position);
-                if (dist < closestDist) {
-                    target = enemy;
-                    closestDist = dist;
-                }
-            }
-            
-            tower.target = target;
+            tower.target = tower.chooseTarget(this.spatial.queryRadius('enemy', tower.base.position, tower.data.range));
             
             if (tower.target) {
                 // Aim turret at target
-                tower.turret.lookAt(tower.target.mesh.position);
+                tower.turret.lookAt(tower.target.position);
                 
                 // Fire if ready
                 if (currentTime - tower.lastFired > tower.data.fireRate) {
@@ -1004,16 +1868,8 @@ class TowerDefenseGame {
     fireProjectile(tower) {
         if (!tower.target || this.isPaused) return; 
         
-        const projectile = BABYLON.MeshBuilder.CreateSphere("projectile", {diameter: 0.8}, this.scene);
-        projectile.position = tower.turret.getAbsolutePosition().clone();
-        projectile.position.y += 0.5;
-        
-        const projMat = new BABYLON.StandardMaterial("projMat", this.scene);
-        projMat.diffuseColor = BABYLON.Color3.FromHexString(tower.data.color);
-        projMat.emissiveColor = BABYLON.Color3.FromHexString(tower.data.color).scale(0.8);
-        projectile.material = projMat;
-        
-        const direction = tower.target.mesh.position.subtract(projectile.position).normalize();
+        const startPosition = tower.turret.getAbsolutePosition().clone();
+        startPosition.y += 0.5;
         
         // Play shot sound based on tower type
         switch (tower.type) {
@@ -1024,34 +1880,98 @@ class TowerDefenseGame {
                 if (this.shotMissileSound) { this.shotMissileSound.currentTime = 0; this.shotMissileSound.play(); }
                 break;
             case 'laser':
+            case 'shock':
                 if (this.shotLaserSound) { this.shotLaserSound.currentTime = 0; this.shotLaserSound.play(); }
                 break;
+            case 'cryo':
+                if (this.shotBasicSound) { this.shotBasicSound.currentTime = 0; this.shotBasicSound.play(); }
+                break;
         }
 
-        this.projectiles.push({
-            mesh: projectile,
-            direction: direction,
-            speed: 2.2, // Faster projectiles
-            damage: tower.data.damage,
-            target: tower.target,
-            life: 0,
-            type: tower.type // Add projectile type
+        if (tower.data.projectile === 'hitscan') {
+            this.fireBeam(tower, startPosition);
+            return;
+        }
+
+        const ProjectileType = PROJECTILE_TYPES[tower.data.projectile || 'bolt'];
+        const projectile = new ProjectileType(tower, startPosition);
+        projectile.pool = this.pool(`projectile_${tower.type}`, () => {
+            const mesh = BABYLON.MeshBuilder.CreateSphere("projectile", {diameter: 0.8}, this.scene);
+            mesh.material = this.projectileMaterial(tower.type, tower.data.color);
+            mesh.isPickable = false;
+            return mesh;
+        });
+        projectile.mesh = projectile.pool.acquire();
+        projectile.mesh.position.copyFrom(startPosition);
+
+        this.projectiles.push(projectile);
+    }
+
+    /**
+     * Hits instantly along a line out to the tower's range: the first `pierce` enemies
+     * the beam passes through (at least one), nearest first
+     */
+    fireBeam(tower, startPosition) {
+        const direction = tower.target.position.subtract(startPosition).normalize();
+        let end = startPosition.add(direction.scale(tower.data.range));
+
+        const touched = [];
+        for (let enemy of this.enemiesAlong(startPosition, end, 0)) {
+            if (enemy.health <= 0) continue;
+            const along = Projectile.closestOnSegment(enemy.position, startPosition, end);
+            if (BABYLON.Vector3.Distance(along.point, enemy.position) <= enemy.hitRadius) {
+                touched.push({ enemy: enemy, t: along.t });
+            }
+        }
+        touched.sort((a, b) => a.t - b.t);
+        const hits = touched.slice(0, Math.max(1, tower.data.pierce || 0));
+        hits.forEach(({ enemy }) => this.hitEnemy(enemy, tower.data.damage, tower.data.damageType, tower.data.effects || [], tower.type));
+
+        // A beam stopped by its last pierce ends at that enemy
+        if (hits.length > 0 && hits.length < touched.length) end = hits[hits.length - 1].enemy.position.clone();
+        if (this.headless) return;
+
+        const pool = this.pool(`beam_${tower.type}`, () => {
+            const mesh = BABYLON.MeshBuilder.CreateLines("laserBeam", { points: [startPosition, end], updatable: true }, this.scene);
+            mesh.color = BABYLON.Color3.FromHexString(tower.data.color);
+            mesh.isPickable = false;
+            return mesh;
         });
+        const beam = pool.acquire();
+        BABYLON.MeshBuilder.CreateLines("laserBeam", { points: [startPosition, end], instance: beam }); // Moves the pooled line
+        beam.alpha = 1;
+        this.beams.push({ mesh: beam, age: 0, pool: pool });
+    }
+
+    updateBeams(dt) {
+        for (let i = this.beams.length - 1; i >= 0; i--) {
+            const beam = this.beams[i];
+            beam.age += dt;
+            const progress = beam.age / 0.2; // Seconds to fade
+            if (progress >= 1) {
+                beam.pool.release(beam.mesh);
+                this.beams.splice(i, 1);
+            } else {
+                beam.mesh.alpha = 1 - progress;
+            }
+        }
     }
 
     fireEnemyProjectile(enemy) {
         if (!enemy.target || this.isPaused) return;
 
-        const projectile = BABYLON.MeshBuilder.CreateSphere("enemyProjectile", {diameter: 0.6}, this.scene);
-        projectile.position = enemy.mesh.getAbsolutePosition().clone();
-        projectile.position.y += 0.5;
-
-        const projMat = new BABYLON.StandardMaterial("enemyProjMat", this.scene);
-        projMat.diffuseColor = new BABYLON.Color3(1, 0, 1); // Magenta color for enemy shots
-        projMat.emissiveColor = new BABYLON.Color3(0.8, 0, 0.8);
-        projectile.material = projMat;
+        const pool = this.pool('enemyProjectile', () => {
+            const mesh = BABYLON.MeshBuilder.CreateSphere("enemyProjectile", {diameter: 0.6}, this.scene);
+            mesh.material = this.projectileMaterial('enemy', '#ff00ff'); // Magenta color for enemy shots
+            mesh.isPickable = false;
+            return mesh;
+        });
+        const projectile = pool.acquire();
+        const startPosition = enemy.position.clone();
+        startPosition.y += 0.5;
+        projectile.position.copyFrom(startPosition);
 
-        const direction = enemy.target.base.position.subtract(projectile.position).normalize();
+        const direction = enemy.target.base.position.subtract(startPosition).normalize();
 
         if (this.enemyShotSound) {
             this.enemyShotSound.currentTime = 0;
@@ -1060,110 +1980,292 @@ class TowerDefenseGame {
 
         this.enemyProjectiles.push({
             mesh: projectile,
+            pool: pool,
+            position: startPosition,
+            prevPosition: startPosition.clone(),
             direction: direction,
-            speed: 1.5,
+            speed: 90, // Units per second
+            damage: enemy.damage,
+            damageType: enemy.damageType,
             target: enemy.target,
             life: 0
         });
     }
 
-    updateProjectiles() {
+    /**
+     * Enemies close enough to the segment from..to that a shot `reach` wide could touch
+     * them - candidates for the exact test
+     */
+    enemiesAlong(from, to, reach) {
+        const middle = BABYLON.Vector3.Center(from, to);
+        return this.spatial.queryRadius('enemy', middle, BABYLON.Vector3.Distance(from, to) / 2 + reach + Enemy.maxHitRadius);
+    }
+
+    updateProjectiles(dt) {
         if (this.isPaused) return; 
         
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const proj = this.projectiles[i];
-            proj.mesh.position.addInPlace(proj.direction.scale(proj.speed));
-            proj.life++;
-            
-            // Check hit
-            if (proj.target && !proj.target.mesh.isDisposed() && 
-                BABYLON.Vector3.Distance(proj.mesh.position, proj.target.mesh.position) < 1.8) {
-                proj.target.health -= proj.damage;
-                if (this.damageSound) {
-                    this.damageSound.currentTime = 0;
-                    this.damageSound.play();
-                }
-                this.createHitParticles(proj.target.mesh.position); // Create hit particles
+            proj.update(dt);
+            const touched = proj.sweep(this.enemiesAlong(proj.prevPosition, proj.position, Projectile.RADIUS));
 
-                if (proj.type === 'missile') {
-                    this.createExplosionParticles(proj.mesh.position); // Create explosion for missile
+            // Check hit - whichever enemy the shot reached first
+            if (touched.length > 0) {
+                if (proj.splashRadius > 0) {
+                    this.explode(touched[0].point, proj.damage, proj.damageType, proj.splashRadius, proj.effects, proj.source);
+                } else {
+                    this.hitEnemy(touched[0].enemy, proj.damage, proj.damageType, proj.effects, proj.source);
                 }
 
-                proj.mesh.dispose();
+                proj.pool.release(proj.mesh);
                 this.projectiles.splice(i, 1);
             } 
             // Remove old projectiles
-            else if (proj.life > 100) {
-                proj.mesh.dispose();
+            else if (proj.expired) {
+                proj.pool.release(proj.mesh);
                 this.projectiles.splice(i, 1);
             }
         }
     }
 
-    updateEnemyProjectiles() {
+    /**
+     * Damages one enemy and applies `effects` if it survives. `source` (a tower type or
+     * ability key) is credited if the enemy dies before anything else hits it.
+     */
+    hitEnemy(enemy, amount, damageType, effects = [], source = null) {
+        if (source) enemy.lastHitBy = source;
+        const hit = enemy.takeDamage(amount, damageType);
+        if (enemy.health > 0) {
+            for (const effect of effects) {
+                enemy.effects.apply(effect.kind, effect.magnitude, effect.duration, this.clock.time);
+            }
+        }
+        if (this.damageSound) {
+            this.damageSound.currentTime = 0;
+            this.damageSound.play();
+        }
+        this.createHitParticles(enemy.position, hit); // Create hit particles
+        return hit;
+    }
+
+    /**
+     * Damages every enemy within `radius`, less towards the edge of the blast
+     */
+    explode(center, amount, damageType, radius, effects = [], source = null) {
+        this.createExplosionParticles(center);
+        for (let enemy of this.spatial.queryRadius('enemy', center, radius)) {
+            if (enemy.health <= 0) continue;
+            const falloff = Damage.splashFalloff(BABYLON.Vector3.Distance(center, enemy.position), radius);
+            if (falloff > 0) {
+                this.hitEnemy(enemy, amount * falloff, damageType, effects, source);
+            }
+        }
+    }
+
+    updateEnemyProjectiles(dt) {
         if (this.isPaused) return;
 
         for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
             const proj = this.enemyProjectiles[i];
-            proj.mesh.position.addInPlace(proj.direction.scale(proj.speed));
-            proj.life++;
-
-            // Check hit
-            if (proj.target && !proj.target.base.isDisposed() &&
-                BABYLON.Vector3.Distance(proj.mesh.position, proj.target.base.position) < 1.8) {
+            proj.prevPosition.copyFrom(proj.position);
+            proj.position.addInPlace(proj.direction.scale(proj.speed * dt));
+            proj.life += dt;
+
+            // Check hit - anywhere along the step's path, so a fast shot can't skip past the tower
+            const along = proj.target && !proj.target.base.isDisposed()
+                ? Projectile.closestOnSegment(proj.target.base.position, proj.prevPosition, proj.position)
+                : null;
+            if (along && BABYLON.Vector3.Distance(along.point, proj.target.base.position) < 1.8) {
                 
-                this.createEnemyBombParticles(proj.mesh.position);
+                this.createEnemyBombParticles(along.point);
+                // Shield domes over the tower soak up the shot first
+                let damage = proj.damage;
+                for (let colony of this.colonies) {
+                    if (damage > 0 && colony.shields(proj.target.base.position)) damage = colony.absorb(damage);
+                }
+                if (damage > 0) proj.target.takeDamage(damage, proj.damageType);
+                if (proj.target.health <= 0) {
+                    this.destroyTower(proj.target);
+                } else if (proj.target === this.selectedTower) {
+                    this.updateTowerInfo();
+                }
 
-                proj.mesh.dispose();
+                proj.pool.release(proj.mesh);
                 this.enemyProjectiles.splice(i, 1);
             }
             // Remove old projectiles
-            else if (proj.life > 150) {
-                proj.mesh.dispose();
+            else if (proj.life > 2.5) { // Seconds
+                proj.pool.release(proj.mesh);
                 this.enemyProjectiles.splice(i, 1);
             }
         }
     }
     
+    /**
+     * Smoke for a damaged tower, smoke and fire for a critical one. Returns the
+     * running system (or null) so the tower can stop it when its condition changes.
+     */
+    createTowerDamageParticles(tower, condition) {
+        if (this.headless || condition === 'intact') return null;
+        return this.particles.spawn(condition === 'critical' ? 'towerFire' : 'towerSmoke', tower.base.position);
+    }
+
     createEnemyBombParticles(position) {
-        const particleSystem = new BABYLON.ParticleSystem("particles", 200, this.scene);
-        particleSystem.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-        particleSystem.emitter = position;
-        particleSystem.minEmitBox = new BABYLON.Vector3(-0.5, -0.5, -0.5);
-        particleSystem.maxEmitBox = new BABYLON.Vector3(0.5, 0.5, 0.5);
-        particleSystem.color1 = new BABYLON.Color4(1, 0, 1, 1.0);
-        particleSystem.color2 = new BABYLON.Color4(0.5, 0, 0.5, 1.0);
-        particleSystem.colorDead = new BABYLON.Color4(0, 0, 0, 0.0);
-        particleSystem.minSize = 0.5;
-        particleSystem.maxSize = 1.0;
-        particleSystem.minLifeTime = 0.3;
-        particleSystem.maxLifeTime = 1.0;
-        particleSystem.emitRate = 200;
-        particleSystem.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-        particleSystem.gravity = new BABYLON.Vector3(0, -9.81, 0);
-        particleSystem.direction1 = new BABYLON.Vector3(-1, 1, -1);
-        particleSystem.direction2 = new BABYLON.Vector3(1, 1, 1);
-        particleSystem.minEmitPower = 1;
-        particleSystem.maxEmitPower = 3;
-        particleSystem.updateSpeed = 0.005;
-        particleSystem.targetStopDuration = 0.2;
-        particleSystem.disposeOnStop = true;
-        particleSystem.start();
+        if (this.headless) return;
+        this.particles.spawn('enemyBomb', position);
     }
 
 
+    gameOver() {
+        this.isGameOver = true;
+        this.endRun('defeat');
+    }
+
+    /**
+     * Stops the run and shows the end screen with its summary
+     * @param {string} outcome 'defeat' or 'victory'
+     */
+    endRun(outcome) {
+        const summary = this.runSummary(outcome);
+        this.gameStarted = false;
+        console.log(`🏁 Run over (${outcome}) - score ${summary.score}, ${summary.wavesSurvived} waves survived`);
+        if (this.headless) return;
+
+        this.selectedAbility = null;
+        document.exitPointerLock();
+        this.endScreen.show(summary);
+    }
+
+    /**
+     * What the end screen shows and a saved score records
+     */
+    runSummary(outcome) {
+        const kills = Object.keys(this.kills).map(source => {
+            const definition = this.towerTypes[source] || (this.ability(source) || {}).stats;
+            return { source: source, name: definition ? definition.name : 'OTHER', kills: this.kills[source] };
+        }).sort((a, b) => b.kills - a.kills);
+
+        return {
+            outcome: outcome,
+            mode: this.mode,
+            campaign: this.campaign.name,
+            difficulty: this.difficulty,
+            score: this.score,
+            wave: this.wave,
+            wavesSurvived: this.gameStarted ? this.wave - 1 : this.wave, // The wave that broke through doesn't count
+            kills: kills,
+            goldEarned: this.goldEarned,
+            goldSpent: this.goldSpent,
+            timePlayed: this.clock.time, // ms of simulated play, pauses excluded
+            seed: this.rng.seed
+        };
+    }
+
+    /**
+     * Starts the campaign again on the same map and seed
+     */
+    restartRun() {
+        this.endScreen.hide();
+        this.clearRun();
+        this.clock.reset();
+        this.rng.setState({ seed: this.rng.seed }); // Fresh streams replay the same run
+        this.resetRunState();
+        SprawlingPlant.spawnEcosystem(this.scene, 1, 200);
+        this.setNextWaveButton(true, 'ENGAGE HOSTILES');
+        this.updateUI();
+        console.log(`🔁 Restarted ${this.campaign.name} (seed ${this.rng.seed})`);
+    }
+
+    setNextWaveButton(enabled, text) {
+        if (this.headless) return;
+
+        const nextWaveBtn = document.getElementById('nextWaveBtn');
+        nextWaveBtn.disabled = !enabled;
+        nextWaveBtn.textContent = text;
+    }
+
+    /**
+     * Starts the next wave from the campaign. Returns false once every wave has been played.
+     */
+    startNextWave() {
+        if (!this.campaign.getWave(this.wave + 1)) return false;
+
+        this.wave++;
+        this.spawnQueue = this.campaign.buildSpawnSchedule(this.wave, this.rng.stream('gameplay'));
+        this.waveTime = 0;
+        this.enemiesInWave = this.spawnQueue.length;
+        this.enemiesSpawned = 0;
+        this.gameStarted = true;
+        
+        this.setNextWaveButton(false, '⚔️ Wave Active...');
+        
+        this.updateUI();
+        const label = this.campaign.getWave(this.wave).label;
+        console.log(`🌊 Wave ${this.wave} starting! ${this.enemiesInWave} incoming${label ? ` (${label})` : ''}`);
+        if (this.headless) return true;
+
+        this.playRandomMusic();
+        
+        // Play random lore audio after wave 3 starts
+        if (this.wave >= 3) {
+            const loreAudios = [];
+            if (!this.lore4Played && this.lore4Sound) {
+                loreAudios.push(this.lore4Sound);
+            }
+            if (!this.lore5Played && this.lore5Sound) {
+                loreAudios.push(this.lore5Sound);
+            }
+
+            if (loreAudios.length > 0) {
+                const randomLore = loreAudios[Math.floor(Math.random() * loreAudios.length)];
+                if (randomLore) {
+                    randomLore.play().catch(e => console.error("Error playing random lore audio:", e));
+                    if (randomLore === this.lore4Sound) {
+                        this.lore4Played = true;
+                    } else if (randomLore === this.lore5Sound) {
+                        this.lore5Played = true;
+                    }
+                }
+            }
+        }
+        
+        // Start weather effects
+        if (this.weatherSystem) {
+            this.weatherSystem.startRain();
+            this.weatherSystem.startLightning();
+        }
+        return true;
+    }
+
     checkWaveComplete() {
-        if (this.gameStarted && this.enemiesSpawned >= this.enemiesInWave && this.enemies.length === 0) {
-            document.getElementById('nextWaveBtn').disabled = false;
-            document.getElementById('nextWaveBtn').textContent = '🚀 NEXT WAVE';
+        if (this.gameStarted && this.enemiesSpawned >= this.enemiesInWave && this.enemiesLoading === 0 && this.enemies.length === 0) {
             this.gameStarted = false;
             
             // Wave completion bonus
-            const waveBonus = 25 + (this.wave * 10);
-            this.gold += waveBonus;
+            const waveBonus = Math.round(this.campaign.getWave(this.wave).bonusGold * this.difficultyFactor(this.difficultyPreset.enemyReward));
+            this.earnGold(waveBonus);
             this.score += waveBonus * 5;
             console.log(`🎉 Wave ${this.wave} complete! +$${waveBonus} bonus`);
+
+            // Colonists pay their dues, then the colonies grow
+            let income = 0;
+            for (let colony of this.colonies) {
+                income += colony.income;
+                colony.grow();
+            }
+            this.earnGold(income);
+            this.colonyIncome += income;
+            console.log(`🏘️ Colonies paid $${income} in income`);
+
+            if (this.campaign.getWave(this.wave + 1)) {
+                this.setNextWaveButton(true, '🚀 NEXT WAVE');
+            } else {
+                this.campaignComplete = true;
+                this.setNextWaveButton(false, '🏆 CAMPAIGN COMPLETE');
+                console.log(`🏆 ${this.campaign.name} complete!`);
+            }
             this.updateUI();
+            if (this.campaignComplete) this.endRun('victory');
         }
     }
 
@@ -1200,63 +2302,50 @@ function selectTowerType(type) {
     if (game && !game.isPaused) game.selectTowerType(type); 
 }
 
+function selectAbility(index) {
+    if (game) game.selectAbility(index);
+}
+
+function upgradeSelectedTower() {
+    if (game) game.upgradeSelectedTower();
+}
+
+function upgradeSelectedColony() {
+    if (game) game.upgradeSelectedColony();
+}
+
+function cycleSelectedTowerTargeting() {
+    if (game) game.cycleSelectedTowerTargeting();
+}
+
+function sellSelectedTower() {
+    if (game) game.sellSelectedTower();
+}
+
+function repairSelectedTower() {
+    if (game) game.repairSelectedTower();
+}
+
 function startNextWave() {
     if (!game || game.isPaused) return; 
-    
-    game.wave++;
-    game.enemiesInWave = Math.min(3 + game.wave * 2, 25); // Better wave progression
-    game.enemiesSpawned = 0;
-    game.gameStarted = true;
-    
-    document.getElementById('nextWaveBtn').disabled = true;
-    document.getElementById('nextWaveBtn').textContent = '⚔️ Wave Active...';
-    
-    game.updateUI();
-    console.log(`🌊 Wave ${game.wave} starting! ${game.enemiesInWave} incoming`);
-    game.playRandomMusic();
-    
-    // Play random lore audio after wave 3 starts
-    if (game.wave >= 3) {
-        const loreAudios = [];
-        if (!game.lore4Played && game.lore4Sound) {
-            loreAudios.push(game.lore4Sound);
-        }
-        if (!game.lore5Played && game.lore5Sound) {
-            loreAudios.push(game.lore5Sound);
-        }
-
-        if (loreAudios.length > 0) {
-            const randomLore = loreAudios[Math.floor(Math.random() * loreAudios.length)];
-            if (randomLore) {
-                randomLore.play().catch(e => console.error("Error playing random lore audio:", e));
-                if (randomLore === game.lore4Sound) {
-                    game.lore4Played = true;
-                } else if (randomLore === game.lore5Sound) {
-                    game.lore5Played = true;
-                }
-            }
-        }
-    }
-    
-    // Start weather effects
-    if (game.weatherSystem) {
-        game.weatherSystem.startRain();
-        game.weatherSystem.startLightning();
-    }
+    game.startNextWave();
 }
 
 
 
-// Initialize game when DOM is loaded
-window.addEventListener('DOMContentLoaded', () => {
-    console.log("🎮 Starting Enhanced Tower Defense Game...");
-    game = new TowerDefenseGame();
-});
+// Browser bootstrap - simulate.js loads this file without a DOM and creates the game itself
+if (typeof document !== 'undefined') {
+    // Initialize game when DOM is loaded
+    window.addEventListener('DOMContentLoaded', () => {
+        console.log("🎮 Starting Enhanced Tower Defense Game...");
+        game = new TowerDefenseGame();
+    });
 
-// Handle window resize
-window.addEventListener('resize', () => { 
-    if (game && game.engine) game.engine.resize(); 
-});
+    // Handle window resize
+    window.addEventListener('resize', () => { 
+        if (game && game.engine) game.engine.resize(); 
+    });
 
-// Prevent right-click context menu
-document.addEventListener('contextmenu', e => e.preventDefault());
\ No newline at end of file
+    // Prevent right-click context menu
+    document.addEventListener('contextmenu', e => e.preventDefault());
+}
\ No newline at end of file
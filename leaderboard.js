@@ -0,0 +1,51 @@
+// leaderboard.js
+
+/**
+ * Best scores kept in browser storage, highest first. Entries are the run summaries the
+ * end screen saves (see runSummary in game.js) plus the player's name and the date.
+ * Campaign and endless runs are ranked on separate boards of MAX_ENTRIES each.
+ */
+class Leaderboard {
+    static STORAGE_KEY = 'ordinaryDefense2.scores';
+    static MAX_ENTRIES = 10;
+
+    /**
+     * One mode's board
+     * @param {string} mode 'campaign' or 'endless'
+     */
+    static load(mode = 'campaign') {
+        return Leaderboard.loadAll().filter(entry => Leaderboard.modeOf(entry) === mode);
+    }
+
+    static loadAll() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(Leaderboard.STORAGE_KEY));
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.error("❌ Unreadable leaderboard, starting a new one:", e);
+            return [];
+        }
+    }
+
+    // Scores saved before endless mode existed are campaign runs
+    static modeOf(entry) {
+        return entry.mode || 'campaign';
+    }
+
+    /**
+     * Records an entry on its mode's board and returns its rank (1 is best), or null if
+     * it didn't make the board
+     */
+    static add(entry) {
+        const mode = Leaderboard.modeOf(entry);
+        const entries = Leaderboard.load(mode);
+        entries.push(entry);
+        entries.sort((a, b) => b.score - a.score);
+        const kept = entries.slice(0, Leaderboard.MAX_ENTRIES);
+        const others = Leaderboard.loadAll().filter(other => Leaderboard.modeOf(other) !== mode);
+        localStorage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify(others.concat(kept)));
+
+        const rank = kept.indexOf(entry);
+        return rank === -1 ? null : rank + 1;
+    }
+}
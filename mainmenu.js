@@ -1,6 +1,11 @@
 window.addEventListener('DOMContentLoaded', () => {
     const mainMenu = document.getElementById('mainMenu');
     const startGameBtn = document.getElementById('startGameBtn');
+    const loadGameBtn = document.getElementById('loadGameBtn');
+    const importGameBtn = document.getElementById('importGameBtn');
+    const leaderboardBtn = document.getElementById('leaderboardBtn');
+    const leaderboardPanel = document.getElementById('leaderboardPanel');
+    const mainMenuStatus = document.getElementById('mainMenuStatus');
     const videoContainer = document.getElementById('videoContainer');
     const introVideo = document.getElementById('introVideo');
 
@@ -8,6 +13,65 @@ window.addEventListener('DOMContentLoaded', () => {
         mainMenu.style.display = 'flex';
         document.body.classList.add('custom-main-menu-cursor'); // Add custom cursor class
 
+        document.querySelectorAll('#difficultySelect button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                game.setDifficulty(btn.dataset.difficulty);
+                document.querySelectorAll('#difficultySelect button').forEach(other => {
+                    other.classList.toggle('selected', other === btn);
+                });
+            });
+        });
+
+        document.querySelectorAll('#modeSelect button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                game.setMode(btn.dataset.mode).catch(e => {
+                    console.error("Error switching mode:", e);
+                    mainMenuStatus.textContent = `Could not load waves: ${e.message}`;
+                });
+                document.querySelectorAll('#modeSelect button').forEach(other => {
+                    other.classList.toggle('selected', other === btn);
+                });
+            });
+        });
+
+        // Top scores for one mode: rank, name, score, wave reached, difficulty, date, seed
+        const showLeaderboard = (mode) => {
+            document.querySelectorAll('#leaderboardTabs button').forEach(tab => {
+                tab.classList.toggle('selected', tab.dataset.mode === mode);
+            });
+            const table = document.getElementById('leaderboardTable');
+            table.innerHTML = '<tr><th>#</th><th>Name</th><th>Score</th><th>Wave</th><th>Difficulty</th><th>Date</th><th>Seed</th></tr>';
+            const entries = Leaderboard.load(mode);
+            entries.forEach((entry, i) => {
+                const row = table.insertRow();
+                [
+                    i + 1,
+                    entry.name,
+                    entry.score,
+                    entry.wave,
+                    (game.difficulties[entry.difficulty] || {}).name || entry.difficulty,
+                    new Date(entry.date).toLocaleDateString(),
+                    entry.seed
+                ].forEach(value => row.insertCell().textContent = value);
+            });
+            if (entries.length === 0) {
+                const cell = table.insertRow().insertCell();
+                cell.colSpan = 7;
+                cell.textContent = 'No scores yet';
+            }
+        };
+
+        if (leaderboardBtn && leaderboardPanel) {
+            leaderboardBtn.addEventListener('click', () => {
+                const open = leaderboardPanel.style.display === 'flex';
+                leaderboardPanel.style.display = open ? 'none' : 'flex';
+                if (!open) showLeaderboard(game.mode);
+            });
+            document.querySelectorAll('#leaderboardTabs button').forEach(tab => {
+                tab.addEventListener('click', () => showLeaderboard(tab.dataset.mode));
+            });
+        }
+
         startGameBtn.addEventListener('click', () => {
             mainMenu.style.display = 'none';
             document.body.classList.remove('custom-main-menu-cursor'); // Remove custom cursor class
@@ -19,5 +83,27 @@ window.addEventListener('DOMContentLoaded', () => {
                 }
             });
         });
+
+        // Resuming a saved run skips the intro video
+        const resumeSavedGame = async (readSave) => {
+            try {
+                const data = await readSave();
+                SaveManager.validate(data, game);
+                mainMenu.style.display = 'none';
+                document.body.classList.remove('custom-main-menu-cursor');
+                game.startGameAfterVideo(data);
+            } catch (e) {
+                console.error("Error loading saved game:", e);
+                mainMenuStatus.textContent = `Load failed: ${e.message}`;
+            }
+        };
+
+        if (loadGameBtn) {
+            loadGameBtn.disabled = !SaveManager.hasLocalSave();
+            loadGameBtn.addEventListener('click', () => resumeSavedGame(() => SaveManager.loadFromLocalStorage()));
+        }
+        if (importGameBtn) {
+            importGameBtn.addEventListener('click', () => resumeSavedGame(() => SaveManager.chooseFile()));
+        }
     }
 });
@@ -0,0 +1,94 @@
+// modelcache.js
+
+/**
+ * Loads each model file once into an AssetContainer and hands out copies of it, so
+ * spawning the next enemy of a wave doesn't download and parse its GLB again.
+ *
+ * A model is first looked for as a Draco-compressed `_draco.glb` variant. Which variant
+ * a file has is remembered in browser storage, so a missing one is only requested once.
+ * Copies are clones with their own materials (towers tint theirs), or instances that
+ * share geometry and materials, which are far cheaper for the enemies of a wave.
+ */
+class ModelCache {
+    static STORAGE_KEY = 'ordinaryDefense2.dracoModels';
+
+    constructor(scene) {
+        this.scene = scene;
+        this.containers = new Map(); // URL -> promise of its AssetContainer
+        this.draco = ModelCache.loadDracoChoices(); // URL -> whether the _draco.glb variant exists
+    }
+
+    /**
+     * Adds a copy of `fileName` to the scene. Resolves to its meshes, root first, as
+     * SceneLoader.ImportMesh does.
+     * @param {boolean} instanced Share geometry and materials with the other copies
+     */
+    async instantiate(path, fileName, instanced = false) {
+        const container = await this.load(path, fileName);
+        const entries = container.instantiateModelsToScene(name => name, !instanced, { doNotInstantiate: !instanced });
+        const root = entries.rootNodes[0];
+        return [root, ...root.getChildMeshes()];
+    }
+
+    load(path, fileName) {
+        const url = path + fileName;
+        if (!this.containers.has(url)) {
+            const loading = this.loadContainer(path, fileName);
+            loading.catch(() => this.containers.delete(url)); // A later request tries again
+            this.containers.set(url, loading);
+        }
+        return this.containers.get(url);
+    }
+
+    async loadContainer(path, fileName) {
+        const url = path + fileName;
+        if (this.draco[url] !== false) {
+            const dracoFileName = fileName.replace(".glb", "_draco.glb");
+            try {
+                const container = await BABYLON.SceneLoader.LoadAssetContainerAsync(path, dracoFileName, this.scene);
+                this.rememberDraco(url, true);
+                console.log(`Successfully loaded Draco compressed model: ${dracoFileName}`);
+                return container;
+            } catch (e) {
+                // Only a missing file is remembered; a dropped connection can succeed next time
+                if (ModelCache.isNotFound(e)) this.rememberDraco(url, false);
+                console.log(`Draco model not loaded, falling back to standard GLB: ${fileName}`);
+            }
+        }
+
+        try {
+            const container = await BABYLON.SceneLoader.LoadAssetContainerAsync(path, fileName, this.scene);
+            console.log(`Successfully loaded standard model: ${fileName}`);
+            return container;
+        } catch (e) {
+            console.error(`Failed to load model: ${fileName}`, e);
+            throw new Error(`Failed to load model: ${fileName}`);
+        }
+    }
+
+    rememberDraco(url, available) {
+        this.draco[url] = available;
+        try {
+            localStorage.setItem(ModelCache.STORAGE_KEY, JSON.stringify(this.draco));
+        } catch (e) {
+            // Storage full or disabled - the choice is still remembered for this session
+        }
+    }
+
+    /** Whether a failed load failed because the server has no such file */
+    static isNotFound(error) {
+        for (let current = error; current; current = current.innerError) {
+            if (current.request && current.request.status === 404) return true;
+            if (/Error status: 404\b/.test(current.message || '')) return true;
+        }
+        return false;
+    }
+
+    static loadDracoChoices() {
+        try {
+            return JSON.parse(localStorage.getItem(ModelCache.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+}
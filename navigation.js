@@ -0,0 +1,350 @@
+// navigation.js
+
+/**
+ * Walkability grid over the map with A* routing.
+ *
+ * Heights are sampled by ray-picking the terrain once it has loaded. A cell is walkable
+ * when the terrain under it was hit and the rise to its neighbours stays below
+ * `maxSlope`. Towers and colonies block the cells under their footprint (reference
+ * counted, so overlapping footprints unblock correctly), which lets players build mazes.
+ */
+class NavGrid {
+    /**
+     * @param {Object} options { cellSize, halfExtent, maxSlope }
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 2.5;
+        this.halfExtent = options.halfExtent || 160; // Covers every entry point
+        this.maxSlope = options.maxSlope !== undefined ? options.maxSlope : 0.7; // Rise over run (~35°)
+        this.columns = Math.ceil((this.halfExtent * 2) / this.cellSize);
+        this.rows = this.columns;
+
+        const cellCount = this.columns * this.rows;
+        this.heights = new Float32Array(cellCount);
+        this.walkable = new Uint8Array(cellCount); // Terrain only
+        this.blocked = new Uint16Array(cellCount); // Obstacles covering the cell
+        this.ready = false;
+    }
+
+    /**
+     * Samples the terrain under every cell centre
+     * @param {BABYLON.Scene} scene
+     * @param {function(BABYLON.AbstractMesh): boolean} isGround Pick predicate
+     */
+    buildFromTerrain(scene, isGround) {
+        const startTime = performance.now();
+        const hasHeight = new Uint8Array(this.heights.length);
+        const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), new BABYLON.Vector3(0, -1, 0), 1000);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.columns; col++) {
+                const index = row * this.columns + col;
+                ray.origin.set(this.cellX(col), 500, this.cellZ(row));
+                const hit = scene.pickWithRay(ray, isGround);
+                if (hit && hit.hit) {
+                    this.heights[index] = hit.pickedPoint.y;
+                    hasHeight[index] = 1;
+                }
+            }
+        }
+
+        // Too steep when the height jump to any side neighbour exceeds maxSlope
+        const maxRise = this.maxSlope * this.cellSize;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.columns; col++) {
+                const index = row * this.columns + col;
+                let walkable = hasHeight[index] === 1;
+                for (const [dc, dr] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    if (!walkable) break;
+                    const c = col + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+                    const neighbour = r * this.columns + c;
+                    if (hasHeight[neighbour] && Math.abs(this.heights[neighbour] - this.heights[index]) > maxRise) {
+                        walkable = false;
+                    }
+                }
+                this.walkable[index] = walkable ? 1 : 0;
+            }
+        }
+
+        this.ready = true;
+        const walkableCount = this.walkable.reduce((sum, value) => sum + value, 0);
+        console.log(`🧭 Navigation grid ${this.columns}x${this.rows} built in ${Math.round(performance.now() - startTime)}ms (${walkableCount} walkable cells)`);
+    }
+
+    cellX(col) {
+        return -this.halfExtent + (col + 0.5) * this.cellSize;
+    }
+
+    cellZ(row) {
+        return -this.halfExtent + (row + 0.5) * this.cellSize;
+    }
+
+    /** Cell index under a world position, or -1 off the grid */
+    indexAt(x, z) {
+        const col = Math.floor((x + this.halfExtent) / this.cellSize);
+        const row = Math.floor((z + this.halfExtent) / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return -1;
+        return row * this.columns + col;
+    }
+
+    isPassable(index) {
+        return index >= 0 && this.walkable[index] === 1 && this.blocked[index] === 0;
+    }
+
+    /** Terrain height at a world position (0 off the grid) */
+    heightAt(x, z) {
+        const index = this.indexAt(x, z);
+        return index >= 0 ? this.heights[index] : 0;
+    }
+
+    /**
+     * Calls fn(index) for every cell whose centre lies within `radius` of `position`
+     */
+    forEachCellInRadius(position, radius, fn) {
+        const minCol = Math.max(0, Math.floor((position.x - radius + this.halfExtent) / this.cellSize));
+        const maxCol = Math.min(this.columns - 1, Math.floor((position.x + radius + this.halfExtent) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((position.z - radius + this.halfExtent) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((position.z + radius + this.halfExtent) / this.cellSize));
+        const radiusSq = radius * radius;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = this.cellX(col) - position.x;
+                const dz = this.cellZ(row) - position.z;
+                if (dx * dx + dz * dz <= radiusSq) {
+                    fn(row * this.columns + col);
+                }
+            }
+        }
+    }
+
+    addObstacle(position, radius) {
+        this.forEachCellInRadius(position, radius, index => this.blocked[index]++);
+    }
+
+    removeObstacle(position, radius) {
+        this.forEachCellInRadius(position, radius, index => {
+            if (this.blocked[index] > 0) this.blocked[index]--;
+        });
+    }
+
+    clearObstacles() {
+        this.blocked.fill(0);
+    }
+
+    /**
+     * True if a footprint at `position` would leave every start with a route to `goal`
+     */
+    keepsRoutesOpen(position, radius, starts, goal, goalRadius) {
+        this.addObstacle(position, radius);
+        const open = starts.every(start => this.findPath(start, goal, goalRadius) !== null);
+        this.removeObstacle(position, radius);
+        return open;
+    }
+
+    /**
+     * A* from `start` to any cell within `goalRadius` of `goal` (the goal itself is
+     * usually covered by the colony's own footprint).
+     * @returns {BABYLON.Vector3[]|null} Waypoints on the terrain surface, or null if unreachable
+     */
+    findPath(start, goal, goalRadius = this.cellSize) {
+        const startIndex = this.nearestPassable(start);
+        if (startIndex < 0) return null;
+
+        const goalRadiusSq = goalRadius * goalRadius;
+        const isGoal = index => {
+            const dx = this.cellX(index % this.columns) - goal.x;
+            const dz = this.cellZ(Math.floor(index / this.columns)) - goal.z;
+            return dx * dx + dz * dz <= goalRadiusSq;
+        };
+        const heuristic = index => {
+            // Octile distance in cells
+            const dx = Math.abs(this.cellX(index % this.columns) - goal.x) / this.cellSize;
+            const dz = Math.abs(this.cellZ(Math.floor(index / this.columns)) - goal.z) / this.cellSize;
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const cellCount = this.heights.length;
+        const cost = new Float32Array(cellCount).fill(Infinity);
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const open = new NavHeap();
+
+        cost[startIndex] = 0;
+        open.push(startIndex, heuristic(startIndex));
+
+        let found = -1;
+        while (open.size > 0) {
+            const current = open.pop();
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            if (isGoal(current)) {
+                found = current;
+                break;
+            }
+
+            const col = current % this.columns;
+            const row = Math.floor(current / this.columns);
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dc === 0 && dr === 0) continue;
+                    const c = col + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+
+                    const next = r * this.columns + c;
+                    if (closed[next] || !this.isPassable(next)) continue;
+                    // No squeezing diagonally between two blocked cells
+                    if (dc !== 0 && dr !== 0 &&
+                        (!this.isPassable(row * this.columns + c) || !this.isPassable(r * this.columns + col))) {
+                        continue;
+                    }
+
+                    const stepCost = (dc !== 0 && dr !== 0) ? Math.SQRT2 : 1;
+                    const newCost = cost[current] + stepCost;
+                    if (newCost < cost[next]) {
+                        cost[next] = newCost;
+                        cameFrom[next] = current;
+                        open.push(next, newCost + heuristic(next));
+                    }
+                }
+            }
+        }
+
+        if (found < 0) return null;
+
+        const cells = [];
+        for (let index = found; index !== -1; index = cameFrom[index]) {
+            cells.push(index);
+        }
+        cells.reverse();
+        return this.toWaypoints(cells, start, goal);
+    }
+
+    /**
+     * Shortcuts the cell chain where there is a clear line, then adds a point every
+     * couple of cells so the route follows the terrain height.
+     */
+    toWaypoints(cells, start, goal) {
+        const centres = cells.map(index => new BABYLON.Vector3(
+            this.cellX(index % this.columns), 0, this.cellZ(Math.floor(index / this.columns))
+        ));
+        centres[0] = new BABYLON.Vector3(start.x, 0, start.z);
+        centres.push(new BABYLON.Vector3(goal.x, 0, goal.z));
+
+        const corners = [centres[0]];
+        let anchor = 0;
+        for (let i = 2; i < centres.length; i++) {
+            if (!this.hasLineOfSight(centres[anchor], centres[i])) {
+                anchor = i - 1;
+                corners.push(centres[anchor]);
+            }
+        }
+        corners.push(centres[centres.length - 1]);
+
+        const points = [];
+        const spacing = this.cellSize * 2;
+        for (let i = 0; i < corners.length - 1; i++) {
+            const from = corners[i];
+            const to = corners[i + 1];
+            const steps = Math.max(1, Math.ceil(BABYLON.Vector3.Distance(from, to) / spacing));
+            for (let s = 0; s < steps; s++) {
+                points.push(BABYLON.Vector3.Lerp(from, to, s / steps));
+            }
+        }
+        points.push(corners[corners.length - 1].clone());
+
+        points.forEach(point => {
+            point.y = this.heightAt(point.x, point.z);
+        });
+        return points;
+    }
+
+    hasLineOfSight(from, to) {
+        const distance = BABYLON.Vector3.Distance(from, to);
+        const steps = Math.ceil(distance / (this.cellSize * 0.5));
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const index = this.indexAt(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t);
+            if (!this.isPassable(index)) return false;
+        }
+        return true;
+    }
+
+    /** Passable cell closest to a position (the position's own cell when possible), or -1 */
+    nearestPassable(position) {
+        const index = this.indexAt(position.x, position.z);
+        if (this.isPassable(index)) return index;
+
+        const col = Math.floor((position.x + this.halfExtent) / this.cellSize);
+        const row = Math.floor((position.z + this.halfExtent) / this.cellSize);
+        const maxRing = 8;
+        for (let ring = 1; ring <= maxRing; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+                    if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+                    const candidate = r * this.columns + c;
+                    if (this.isPassable(candidate)) return candidate;
+                }
+            }
+        }
+        return -1;
+    }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority, for the A* open set
+ */
+class NavHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
@@ -0,0 +1,211 @@
+// particle.js
+
+/**
+ * Named particle effects. A preset is plain data - colors as [r, g, b, a], vectors as
+ * [x, y, z] - that spawn() applies to a new ParticleSystem at a position, so callers only
+ * say which effect and where.
+ *
+ * Textures come from the game's own assets. One that fails to load is remembered, and
+ * effects using it get a soft dot drawn on a canvas instead. At most MAX_SYSTEMS effects
+ * run at once: a new one replaces the oldest burst, or is skipped if only continuous
+ * effects (rain, tower smoke) are running.
+ */
+class ParticleEffects {
+    static MAX_SYSTEMS = 60;
+    static DEFAULT_TEXTURE = 'assets/images/flare.jpg';
+
+    static PRESETS = {
+        // Tower hits, by damage type
+        hitKinetic: {
+            capacity: 100, offset: [0, 0.5, 0], minEmitBox: [-0.5, -0.5, -0.5], maxEmitBox: [0.5, 0.5, 0.5],
+            color1: [1, 0.5, 0, 1], color2: [1, 0, 0, 1], colorDead: [0.5, 0, 0, 0],
+            minSize: 0.5, maxSize: 1.0, minLifeTime: 0.5, maxLifeTime: 1.0, emitRate: 100, blendMode: 'oneOne',
+            gravity: [0, -10, 0], direction1: [-2, -2, -2], direction2: [2, 2, 2],
+            minEmitPower: 2, maxEmitPower: 5, updateSpeed: 0.1, targetStopDuration: 0.5
+        },
+        hitExplosive: {
+            capacity: 80, offset: [0, 0.5, 0], minEmitBox: [-0.7, -0.7, -0.7], maxEmitBox: [0.7, 0.7, 0.7],
+            color1: [1, 1, 0.5, 1], color2: [1, 0.8, 0, 1], colorDead: [0.8, 0.8, 0, 0],
+            minSize: 0.6, maxSize: 1.2, minLifeTime: 0.6, maxLifeTime: 1.2, emitRate: 80, blendMode: 'oneOne',
+            gravity: [0, -12, 0], direction1: [-2.5, -2.5, -2.5], direction2: [2.5, 2.5, 2.5],
+            minEmitPower: 2, maxEmitPower: 6, updateSpeed: 0.12, targetStopDuration: 0.6
+        },
+        hitEnergy: {
+            capacity: 120, offset: [0, 0.5, 0], minEmitBox: [-0.8, -0.8, -0.8], maxEmitBox: [0.8, 0.8, 0.8],
+            color1: [0.5, 0, 1, 1], color2: [0, 0, 1, 1], colorDead: [0, 0, 0.5, 0],
+            minSize: 0.7, maxSize: 1.5, minLifeTime: 0.8, maxLifeTime: 1.5, emitRate: 100, blendMode: 'oneOne',
+            gravity: [0, -15, 0], direction1: [-3, -3, -3], direction2: [3, 3, 3],
+            minEmitPower: 3, maxEmitPower: 8, updateSpeed: 0.15, targetStopDuration: 0.8
+        },
+        heal: {
+            capacity: 60, sphereRadius: 3,
+            color1: [0.2, 1, 0.4, 1], color2: [0.6, 1, 0.6, 1], colorDead: [0, 0.4, 0, 0],
+            minSize: 0.2, maxSize: 0.6, minLifeTime: 0.3, maxLifeTime: 0.7, emitRate: 200,
+            gravity: [0, 4, 0], targetStopDuration: 0.3
+        },
+        explosion: {
+            capacity: 500, offset: [0, 1, 0], minEmitBox: [-2, -2, -2], maxEmitBox: [2, 2, 2],
+            color1: [1, 0.5, 0, 1], color2: [1, 0, 0, 1], colorDead: [0, 0, 0, 0],
+            minSize: 2, maxSize: 5, minLifeTime: 1, maxLifeTime: 3, emitRate: 500, blendMode: 'oneOne',
+            gravity: [0, -20, 0], direction1: [-10, -10, -10], direction2: [10, 10, 10],
+            minEmitPower: 15, maxEmitPower: 30, updateSpeed: 0.15, targetStopDuration: 1
+        },
+        enemyBomb: {
+            capacity: 200, minEmitBox: [-0.5, -0.5, -0.5], maxEmitBox: [0.5, 0.5, 0.5],
+            color1: [1, 0, 1, 1], color2: [0.5, 0, 0.5, 1], colorDead: [0, 0, 0, 0],
+            minSize: 0.5, maxSize: 1.0, minLifeTime: 0.3, maxLifeTime: 1.0, emitRate: 200, blendMode: 'oneOne',
+            gravity: [0, -9.81, 0], direction1: [-1, 1, -1], direction2: [1, 1, 1],
+            minEmitPower: 1, maxEmitPower: 3, updateSpeed: 0.005, targetStopDuration: 0.2
+        },
+        // Damaged and critical towers, until repaired
+        towerSmoke: {
+            capacity: 120, offset: [0, 2, 0], minEmitBox: [-0.6, 0, -0.6], maxEmitBox: [0.6, 0.5, 0.6],
+            color1: [0.4, 0.4, 0.4, 0.6], color2: [0.2, 0.2, 0.2, 0.5], colorDead: [0, 0, 0, 0],
+            minSize: 0.6, maxSize: 1.2, minLifeTime: 0.8, maxLifeTime: 1.8, emitRate: 40, blendMode: 'standard',
+            gravity: [0, 2, 0], direction1: [-0.3, 1, -0.3], direction2: [0.3, 1.5, 0.3],
+            minEmitPower: 0.5, maxEmitPower: 1.5
+        },
+        towerFire: {
+            capacity: 300, offset: [0, 2, 0], minEmitBox: [-0.6, 0, -0.6], maxEmitBox: [0.6, 0.5, 0.6],
+            color1: [1, 0.45, 0, 1], color2: [0.3, 0.3, 0.3, 0.8], colorDead: [0, 0, 0, 0],
+            minSize: 0.6, maxSize: 1.8, minLifeTime: 0.8, maxLifeTime: 1.8, emitRate: 120, blendMode: 'oneOne',
+            gravity: [0, 2, 0], direction1: [-0.3, 1, -0.3], direction2: [0.3, 1.5, 0.3],
+            minEmitPower: 0.5, maxEmitPower: 1.5
+        },
+        // Spawned high above the map
+        rain: {
+            capacity: 5000, minEmitBox: [-200, 0, -200], maxEmitBox: [200, 0, 200],
+            color1: [0.7, 0.8, 1, 0.8], color2: [0.2, 0.2, 0.5, 0.8], colorDead: [0, 0, 0.2, 0],
+            minSize: 0.2, maxSize: 0.5, minLifeTime: 1, maxLifeTime: 2, emitRate: 8000, blendMode: 'standard',
+            gravity: [0, -30, 0], direction1: [0, -1, 0], direction2: [0, -1, 0],
+            minAngularSpeed: 0, maxAngularSpeed: 0, minEmitPower: 20, maxEmitPower: 35, updateSpeed: 0.05
+        },
+        // Plants; spores need a direction1/direction2 towards where they drift
+        spores: {
+            capacity: 100, minEmitBox: [-0.2, -0.2, -0.2], maxEmitBox: [0.2, 0.2, 0.2],
+            color1: [0.3, 0.8, 0.3, 1], color2: [0.1, 0.6, 0.1, 0],
+            minSize: 0.02, maxSize: 0.08, minLifeTime: 2, maxLifeTime: 4, emitRate: 50, blendMode: 'oneOne',
+            gravity: [0, 0.5, 0], targetStopDuration: 1
+        },
+        witheredLeaves: {
+            capacity: 200, minEmitBox: [-1, -1, -1], maxEmitBox: [1, 1, 1],
+            color1: [0.4, 0.3, 0.2, 1], color2: [0.2, 0.6, 0.2, 0],
+            minSize: 0.05, maxSize: 0.15, minLifeTime: 1, maxLifeTime: 3, emitRate: 100,
+            gravity: [0, -2, 0], targetStopDuration: 2
+        },
+        thornEmergence: {
+            capacity: 200, minEmitBox: [-2, -0.1, -2], maxEmitBox: [2, 0.1, 2],
+            color1: [0.4, 0.2, 0.1, 1], color2: [0.2, 0.1, 0.05, 0],
+            minSize: 0.1, maxSize: 0.3, minLifeTime: 1, maxLifeTime: 2, emitRate: 150,
+            gravity: [0, -5, 0], targetStopDuration: 1.5
+        },
+        thornAttack: {
+            capacity: 300, minEmitBox: [-1, -1, -1], maxEmitBox: [1, 1, 1],
+            color1: [0.8, 0.2, 0.1, 1], color2: [0.4, 0.1, 0.05, 0],
+            minSize: 0.1, maxSize: 0.4, minLifeTime: 0.5, maxLifeTime: 1.5, emitRate: 200,
+            minEmitPower: 5, maxEmitPower: 15, updateSpeed: 0.01, targetStopDuration: 0.3
+        },
+        thornDeath: {
+            capacity: 500, minEmitBox: [-2, -2, -2], maxEmitBox: [2, 2, 2],
+            color1: [0.8, 0.1, 0.1, 1], color2: [0.2, 0.05, 0.05, 0],
+            minSize: 0.2, maxSize: 0.8, minLifeTime: 1, maxLifeTime: 2.5, emitRate: 300,
+            gravity: [0, -10, 0], targetStopDuration: 1
+        }
+    };
+
+    // Preset fields that aren't plain ParticleSystem properties
+    static SPECIAL_FIELDS = ['capacity', 'texture', 'offset', 'sphereRadius'];
+
+    constructor(scene) {
+        this.scene = scene;
+        this.active = []; // Running systems, oldest first
+        this.missingTextures = new Set(); // URLs that failed to load
+        this.fallbackUrl = null; // Data URL of the generated dot, made on first need
+    }
+
+    /**
+     * Starts preset `name` at `position`. Returns the system - continuous effects run until
+     * the caller stops or disposes it - or null if the cap left no room.
+     * @param {Object} overrides Preset fields to change for this spawn; arrays or Babylon values
+     */
+    spawn(name, position, overrides = {}) {
+        const preset = ParticleEffects.PRESETS[name];
+        if (!preset) {
+            console.warn(`✨ Unknown particle preset: ${name}`);
+            return null;
+        }
+        if (!this.makeRoom()) return null;
+
+        const settings = Object.assign({}, preset, overrides);
+        const system = new BABYLON.ParticleSystem(name, settings.capacity || 100, this.scene);
+        system.particleTexture = this.loadTexture(settings.texture || ParticleEffects.DEFAULT_TEXTURE, system);
+        system.emitter = settings.offset ? position.add(ParticleEffects.toVector(settings.offset)) : position.clone();
+        if (settings.sphereRadius) system.createSphereEmitter(settings.sphereRadius);
+
+        Object.keys(settings).forEach(key => {
+            if (ParticleEffects.SPECIAL_FIELDS.includes(key)) return;
+            system[key] = ParticleEffects.toValue(key, settings[key]);
+        });
+
+        system.disposeOnStop = true; // Once its last particle is gone
+        system.onDisposeObservable.add(() => {
+            const index = this.active.indexOf(system);
+            if (index !== -1) this.active.splice(index, 1);
+        });
+        this.active.push(system);
+        system.start();
+        return system;
+    }
+
+    /**
+     * Frees a slot under the cap, ending the oldest burst if needed. False if every
+     * running system is continuous.
+     */
+    makeRoom() {
+        if (this.active.length < ParticleEffects.MAX_SYSTEMS) return true;
+        const oldestBurst = this.active.find(system => system.targetStopDuration > 0);
+        if (!oldestBurst) return false;
+        oldestBurst.dispose();
+        return true;
+    }
+
+    loadTexture(url, system) {
+        if (this.missingTextures.has(url)) return new BABYLON.Texture(this.fallbackTextureUrl(), this.scene);
+        return new BABYLON.Texture(url, this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE, null, message => {
+            if (!this.missingTextures.has(url)) console.warn(`✨ Particle texture ${url} failed to load, using a plain dot. ${message || ''}`);
+            this.missingTextures.add(url);
+            if (this.active.includes(system)) system.particleTexture = new BABYLON.Texture(this.fallbackTextureUrl(), this.scene);
+        });
+    }
+
+    /** A white dot fading out to its edge, as a data URL */
+    fallbackTextureUrl() {
+        if (!this.fallbackUrl) {
+            const size = 64;
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = size;
+            const context = canvas.getContext('2d');
+            const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, size, size);
+            this.fallbackUrl = canvas.toDataURL('image/png');
+        }
+        return this.fallbackUrl;
+    }
+
+    static toValue(key, value) {
+        if (!Array.isArray(value)) {
+            if (key === 'blendMode' && typeof value === 'string') {
+                return value === 'standard' ? BABYLON.ParticleSystem.BLENDMODE_STANDARD : BABYLON.ParticleSystem.BLENDMODE_ONEONE;
+            }
+            return value;
+        }
+        return value.length === 4 ? new BABYLON.Color4(...value) : ParticleEffects.toVector(value);
+    }
+
+    static toVector(value) {
+        return Array.isArray(value) ? BABYLON.Vector3.FromArray(value) : value;
+    }
+}
@@ -14,6 +14,11 @@
  */
 
 (function () {
+  // Plants draw from the game's seeded streams: layout and behaviour replay from the run seed,
+  // while purely visual variation uses the cosmetic stream so it can't shift the simulation.
+  const ecosystemRandom = () => game.rng.stream('ecosystem').next();
+  const cosmeticRandom = () => game.rng.stream('cosmetic').next();
+
   class SprawlingPlant {
     // --- STATIC PROPERTIES FOR SHARED SYSTEMS ---
     static allPlants = [];
@@ -27,23 +32,21 @@
     static initializeGrowthSystem(scene) {
         if (this.growthObserver) return; // Already initialized
 
-        this.growthObserver = scene.registerBeforeRender(() => {
-            if (game.isPaused) return;
-
-            const deltaTime = scene.getEngine().getDeltaTime() / 1000;
-            const currentTime = performance.now() * 0.001;
+        // Growth runs on the game's fixed simulation steps, so it stops while paused
+        this.growthObserver = game.clock.onStep((deltaTime, timeMs) => {
+            const currentTime = timeMs * 0.001;
 
             // Update all plants in the ecosystem
             this.allPlants.forEach(plant => {
                 if (!plant.isDead) {
                     plant.updateGrowth(deltaTime, currentTime);
-                    plant.updateVines(currentTime);
+                    if (!game.headless) plant.updateVines(currentTime); // Tube rebuilds are visual only
                     plant.updateSporeSpread(deltaTime);
                 }
             });
 
             // Update vine connections between plants
-            this.updateVineNetwork(currentTime);
+            if (!game.headless) this.updateVineNetwork(currentTime);
         });
         
         console.log("SprawlingPlant Growth System Initialized.", "SprawlingPlant");
@@ -82,9 +85,9 @@
     constructor(scene, position, config = {}) {
       this.scene = scene;
       this.position = position || new BABYLON.Vector3(
-        (Math.random() - 0.5) * 100, 
+        (ecosystemRandom() - 0.5) * 100, 
         0, 
-        (Math.random() - 0.5) * 100
+        (ecosystemRandom() - 0.5) * 100
       );
 
       // Ground snapping for organic placement
@@ -93,34 +96,34 @@
       // Plant configuration with organic growth parameters
       this.config = Object.assign({
         // Size and Growth
-        initialSize: 0.1 + Math.random() * 0.3,
-        maxSize: 2.0 + Math.random() * 3.0,
-        growthRate: 0.02 + Math.random() * 0.03,
+        initialSize: 0.1 + ecosystemRandom() * 0.3,
+        maxSize: 2.0 + ecosystemRandom() * 3.0,
+        growthRate: 0.02 + ecosystemRandom() * 0.03,
         
         // Vine System
-        vineCount: 3 + Math.floor(Math.random() * 8),
-        maxVineLength: 3 + Math.random() * 5,
-        vineThickness: 0.05 + Math.random() * 0.1,
+        vineCount: 3 + Math.floor(ecosystemRandom() * 8),
+        maxVineLength: 3 + ecosystemRandom() * 5,
+        vineThickness: 0.05 + ecosystemRandom() * 0.1,
         vineSegments: 12,
         
         // Spreading Behavior
-        spreadRadius: 8 + Math.random() * 12,
+        spreadRadius: 8 + ecosystemRandom() * 12,
         spreadChance: 0.0001, // Per frame chance to spread
-        maxOffspring: 3 + Math.floor(Math.random() * 4),
+        maxOffspring: 3 + Math.floor(ecosystemRandom() * 4),
         
         // Visual Properties
-        leafDensity: 0.5 + Math.random() * 0.5,
+        leafDensity: 0.5 + ecosystemRandom() * 0.5,
         flowerChance: 0.3,
-        glowIntensity: 0.1 + Math.random() * 0.2,
+        glowIntensity: 0.1 + ecosystemRandom() * 0.2,
         
         // Health and Lifecycle
         health: 100,
-        maxAge: 300 + Math.random() * 200, // seconds
-        maturityAge: 30 + Math.random() * 20,
+        maxAge: 300 + ecosystemRandom() * 200, // seconds
+        maturityAge: 30 + ecosystemRandom() * 20,
         
         // Environmental Adaptation
-        sunlightPreference: Math.random(), // 0 = shade, 1 = full sun
-        moisturePreference: Math.random(), // 0 = dry, 1 = wet
+        sunlightPreference: ecosystemRandom(), // 0 = shade, 1 = full sun
+        moisturePreference: ecosystemRandom(), // 0 = dry, 1 = wet
         
         // Performance
         updateFrequency: 2
@@ -136,9 +139,9 @@
       this.isPlant = true;
 
       // Growth animation properties
-      this.growthPhase = Math.random() * Math.PI * 2;
-      this.pulsePhase = Math.random() * Math.PI * 2;
-      this.updateCounter = Math.floor(Math.random() * this.config.updateFrequency);
+      this.growthPhase = cosmeticRandom() * Math.PI * 2;
+      this.pulsePhase = cosmeticRandom() * Math.PI * 2;
+      this.updateCounter = Math.floor(ecosystemRandom() * this.config.updateFrequency);
 
       // Create plant components
       this.createMaterials();
@@ -152,6 +155,7 @@
       
       // Add to global systems
       SprawlingPlant.allPlants.push(this);
+      game.spatial.insert(this, 'plant', this.position);
 
       // Initialize growth system if needed
       SprawlingPlant.initializeGrowthSystem(this.scene);
@@ -190,7 +194,7 @@
     createMaterials() {
         // Main body material - rich green with organic variation
         this.bodyMaterial = new BABYLON.StandardMaterial("plantBodyMat", this.scene);
-        const greenVariation = 0.3 + Math.random() * 0.4;
+        const greenVariation = 0.3 + cosmeticRandom() * 0.4;
         this.bodyMaterial.diffuseColor = new BABYLON.Color3(
             0.1 + greenVariation * 0.2, 
             greenVariation, 
@@ -213,11 +217,11 @@
 
         // Flower material - colorful accent
         this.flowerMaterial = new BABYLON.StandardMaterial("plantFlowerMat", this.scene);
-        const flowerHue = Math.random();
+        const flowerHue = cosmeticRandom();
         this.flowerMaterial.diffuseColor = new BABYLON.Color3(
             0.5 + flowerHue * 0.5,
             0.2 + (1 - flowerHue) * 0.6,
-            0.3 + Math.random() * 0.4
+            0.3 + cosmeticRandom() * 0.4
         );
         this.flowerMaterial.emissiveColor = this.flowerMaterial.diffuseColor.scale(0.3);
     }
@@ -235,9 +239,9 @@
         // Deform the sphere to make it more organic
         const positions = this.mainBody.getVerticesData(BABYLON.VertexBuffer.PositionKind);
         for (let i = 0; i < positions.length; i += 3) {
-            const deformX = (Math.random() - 0.5) * 0.1;
-            const deformY = (Math.random() - 0.5) * 0.1;
-            const deformZ = (Math.random() - 0.5) * 0.1;
+            const deformX = (cosmeticRandom() - 0.5) * 0.1;
+            const deformY = (cosmeticRandom() - 0.5) * 0.1;
+            const deformZ = (cosmeticRandom() - 0.5) * 0.1;
             positions[i] += deformX;
             positions[i + 1] += deformY;
             positions[i + 2] += deformZ;
@@ -264,8 +268,8 @@
      * Creates a single vine with organic curves
      */
     createVine(index) {
-        const angle = (index / this.config.vineCount) * Math.PI * 2 + Math.random() * 0.5;
-        const vineLength = this.config.maxVineLength * (0.5 + Math.random() * 0.5);
+        const angle = (index / this.config.vineCount) * Math.PI * 2 + cosmeticRandom() * 0.5;
+        const vineLength = this.config.maxVineLength * (0.5 + cosmeticRandom() * 0.5);
         
         // Generate organic vine path
         const points = [];
@@ -325,7 +329,7 @@
         });
 
         // Add flowers if mature enough
-        if (Math.random() < this.config.flowerChance) {
+        if (cosmeticRandom() < this.config.flowerChance) {
             this.createFlowers();
         }
     }
@@ -335,7 +339,7 @@
      */
     createLeaf(vine, position) {
         const leaf = BABYLON.MeshBuilder.CreateDisc("leaf", {
-            radius: 0.1 + Math.random() * 0.1,
+            radius: 0.1 + cosmeticRandom() * 0.1,
             segments: 6
         }, this.scene);
         
@@ -346,9 +350,9 @@
         const vinePoint = vine.basePoints[Math.floor(position * (vine.basePoints.length - 1))];
         if (vinePoint) {
             leaf.position = vinePoint.clone();
-            leaf.rotation.x = Math.random() * Math.PI;
-            leaf.rotation.y = Math.random() * Math.PI * 2;
-            leaf.rotation.z = Math.random() * Math.PI;
+            leaf.rotation.x = cosmeticRandom() * Math.PI;
+            leaf.rotation.y = cosmeticRandom() * Math.PI * 2;
+            leaf.rotation.z = cosmeticRandom() * Math.PI;
         }
         
         return leaf;
@@ -358,20 +362,20 @@
      * Creates flowers on mature plants
      */
     createFlowers() {
-        const flowerCount = 1 + Math.floor(Math.random() * 3);
+        const flowerCount = 1 + Math.floor(cosmeticRandom() * 3);
         this.flowers = [];
         
         for (let i = 0; i < flowerCount; i++) {
             const flower = BABYLON.MeshBuilder.CreateSphere("flower", {
-                diameter: 0.1 + Math.random() * 0.1
+                diameter: 0.1 + cosmeticRandom() * 0.1
             }, this.scene);
             
             flower.material = this.flowerMaterial;
             flower.parent = this.mainBody;
             
             // Random position on plant
-            const angle = Math.random() * Math.PI * 2;
-            const height = 0.5 + Math.random() * 0.5;
+            const angle = cosmeticRandom() * Math.PI * 2;
+            const height = 0.5 + cosmeticRandom() * 0.5;
             flower.position = new BABYLON.Vector3(
                 Math.cos(angle) * this.currentSize * 0.6,
                 height * this.currentSize,
@@ -455,7 +459,7 @@
         // Only mature plants can spread
         if (this.maturity < 0.8 || this.offspring.length >= this.config.maxOffspring) return;
         
-        if (Math.random() < this.config.spreadChance * deltaTime) {
+        if (ecosystemRandom() < this.config.spreadChance * deltaTime) {
             this.spreadToNewLocation();
         }
     }
@@ -464,8 +468,8 @@
      * Spreads the plant to a new location
      */
     spreadToNewLocation() {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 5 + Math.random() * this.config.spreadRadius;
+        const angle = ecosystemRandom() * Math.PI * 2;
+        const distance = 5 + ecosystemRandom() * this.config.spreadRadius;
         
         const newPosition = new BABYLON.Vector3(
             this.position.x + Math.cos(angle) * distance,
@@ -475,9 +479,9 @@
         
         // Create offspring with slight genetic variation
         const childConfig = { ...this.config };
-        childConfig.initialSize *= 0.8 + Math.random() * 0.4;
-        childConfig.maxSize *= 0.9 + Math.random() * 0.2;
-        childConfig.vineCount = Math.max(2, this.config.vineCount + Math.floor((Math.random() - 0.5) * 3));
+        childConfig.initialSize *= 0.8 + ecosystemRandom() * 0.4;
+        childConfig.maxSize *= 0.9 + ecosystemRandom() * 0.2;
+        childConfig.vineCount = Math.max(2, this.config.vineCount + Math.floor((ecosystemRandom() - 0.5) * 3));
         
         const offspring = new SprawlingPlant(this.scene, newPosition, childConfig);
         this.offspring.push(offspring);
@@ -492,41 +496,14 @@
      * Creates visual effect for spore spreading
      */
     createSporeEffect(targetPosition) {
-        // Create floating spore particles
-        const particleSystem = new BABYLON.ParticleSystem("spores", 100, this.scene);
-        
-        // Handle texture loading gracefully
-        particleSystem.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
-            null,
-            (message) => {
-                console.log(`Spore texture not found, using default. ${message}`, "SprawlingPlant");
-                particleSystem.particleTexture = null;
-            });
-        
-        particleSystem.emitter = this.mainBody.position.clone();
-        particleSystem.minEmitBox = new BABYLON.Vector3(-0.2, -0.2, -0.2);
-        particleSystem.maxEmitBox = new BABYLON.Vector3(0.2, 0.2, 0.2);
-        
-        particleSystem.color1 = new BABYLON.Color4(0.3, 0.8, 0.3, 1.0);
-        particleSystem.color2 = new BABYLON.Color4(0.1, 0.6, 0.1, 0.0);
-        
-        particleSystem.minSize = 0.02;
-        particleSystem.maxSize = 0.08;
-        particleSystem.minLifeTime = 2;
-        particleSystem.maxLifeTime = 4;
-        
-        particleSystem.emitRate = 50;
-        particleSystem.blendMode = BABYLON.ParticleSystem.BLENDMODE_ONEONE;
-        
-        // Make spores float toward target
+        if (game.headless) return; // No particles in headless simulation
+
+        // Floating spores drift toward the target
         const direction = targetPosition.subtract(this.mainBody.position).normalize();
-        particleSystem.direction1 = direction.scale(0.5);
-        particleSystem.direction2 = direction.scale(1.5);
-        
-        particleSystem.gravity = new BABYLON.Vector3(0, 0.5, 0); // Light upward drift
-        particleSystem.targetStopDuration = 1;
-        particleSystem.disposeOnStop = true;
-        particleSystem.start();
+        game.particles.spawn('spores', this.mainBody.position, {
+            direction1: direction.scale(0.5),
+            direction2: direction.scale(1.5)
+        });
     }
 
     /**
@@ -554,30 +531,10 @@
         // Wither effect - plant turns brown and crumbles
         this.bodyMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2);
         this.bodyMaterial.emissiveColor = new BABYLON.Color3(0, 0, 0);
+        if (game.headless) return;
         
-        // Create leaf particles falling
-        const leafParticles = new BABYLON.ParticleSystem("leaves", 200, this.scene);
-        leafParticles.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
-            null,
-            () => leafParticles.particleTexture = null);
-        
-        leafParticles.emitter = this.mainBody.position.clone();
-        leafParticles.minEmitBox = new BABYLON.Vector3(-1, -1, -1);
-        leafParticles.maxEmitBox = new BABYLON.Vector3(1, 1, 1);
-        
-        leafParticles.color1 = new BABYLON.Color4(0.4, 0.3, 0.2, 1.0);
-        leafParticles.color2 = new BABYLON.Color4(0.2, 0.6, 0.2, 0.0);
-        
-        leafParticles.minSize = 0.05;
-        leafParticles.maxSize = 0.15;
-        leafParticles.minLifeTime = 1;
-        leafParticles.maxLifeTime = 3;
-        
-        leafParticles.emitRate = 100;
-        leafParticles.gravity = new BABYLON.Vector3(0, -2, 0);
-        leafParticles.targetStopDuration = 2;
-        leafParticles.disposeOnStop = true;
-        leafParticles.start();
+        // Leaves fall off
+        game.particles.spawn('witheredLeaves', this.mainBody.position);
         
         console.log("SprawlingPlant withered away", "SprawlingPlant");
     }
@@ -586,6 +543,7 @@
      * Cleans up all plant resources
      */
     cleanup() {
+        game.spatial.remove(this);
         this.vines.forEach(vine => {
             if (vine.mesh && !vine.mesh.isDisposed()) {
                 vine.mesh.dispose();
@@ -679,28 +637,72 @@
         const plants = [];
         
         for (let i = 0; i < count; i++) {
-            const x = (Math.random() - 0.5) * bounds;
-            const z = (Math.random() - 0.5) * bounds;
+            const x = (ecosystemRandom() - 0.5) * bounds;
+            const z = (ecosystemRandom() - 0.5) * bounds;
             const position = new BABYLON.Vector3(x, 0, z);
             
             // Choose variant based on location and randomness
             const variants = ['seedling', 'normal', 'flowering', 'creeper'];
             if (i === 0) variants.push('ancient'); // One ancient plant
             
-            const variant = variants[Math.floor(Math.random() * variants.length)];
-            const level = 1 + Math.floor(Math.random() * 3);
+            const variant = variants[Math.floor(ecosystemRandom() * variants.length)];
+            const level = 1 + Math.floor(ecosystemRandom() * 3);
             
             const plant = SprawlingPlant.createVariant(scene, position, variant, level);
             plants.push(plant);
 
             // Spawn a predator nearby
-            const predatorPosition = new BABYLON.Vector3(x + (Math.random() - 0.5) * 10, 0, z + (Math.random() - 0.5) * 10);
+            const predatorPosition = new BABYLON.Vector3(x + (ecosystemRandom() - 0.5) * 10, 0, z + (ecosystemRandom() - 0.5) * 10);
             new PredatoryThornvine(scene, predatorPosition);
         }
         
         console.log(`Spawned plant ecosystem with ${count} plants and ${count} predators`, "SprawlingPlant");
         return plants;
     }
+
+    /**
+     * Snapshot of every living plant for save games
+     */
+    static serializeAll() {
+        return this.allPlants.map(plant => ({
+            position: plant.position.asArray(),
+            config: plant.config,
+            age: plant.age,
+            currentSize: plant.currentSize,
+            offspring: plant.offspring.map(child => this.allPlants.indexOf(child)).filter(index => index !== -1)
+        }));
+    }
+
+    /**
+     * Removes every plant without death effects (used before loading a save)
+     */
+    static clearAll() {
+        this.allPlants.slice().forEach(plant => {
+            plant.isDead = true;
+            plant.cleanup();
+        });
+        this.allPlants = [];
+    }
+
+    /**
+     * Rebuilds the plant population from serializeAll() output
+     */
+    static restoreAll(scene, data) {
+        this.clearAll();
+
+        const plants = data.map(entry => {
+            const plant = new SprawlingPlant(scene, BABYLON.Vector3.FromArray(entry.position), entry.config);
+            plant.age = entry.age;
+            plant.maturity = Math.min(1, plant.age / plant.config.maturityAge);
+            plant.currentSize = entry.currentSize;
+            plant.mainBody.scaling = new BABYLON.Vector3(plant.currentSize, plant.currentSize, plant.currentSize);
+            return plant;
+        });
+        data.forEach((entry, index) => {
+            plants[index].offspring = entry.offspring.map(childIndex => plants[childIndex]).filter(Boolean);
+        });
+        return plants;
+    }
   }
 
   class PredatoryThornvine {
@@ -717,11 +719,9 @@
     static initializeHuntingSystem(scene) {
         if (this.huntingSystem) return;
 
-        this.huntingSystem = scene.registerBeforeRender(() => {
-            if (game.isPaused) return;
-
-            const deltaTime = scene.getEngine().getDeltaTime() / 1000;
-            const currentTime = performance.now() * 0.001;
+        // Hunting runs on the game's fixed simulation steps, so it stops while paused
+        this.huntingSystem = game.clock.onStep((deltaTime, timeMs) => {
+            const currentTime = timeMs * 0.001;
 
             // Update all predatory plants
             this.allPredators.forEach(predator => {
@@ -759,6 +759,48 @@
         });
     }
 
+    /**
+     * Snapshot of every living predator for save games
+     */
+    static serializeAll() {
+        return this.allPredators.map(predator => ({
+            position: predator.position.asArray(),
+            config: predator.config,
+            age: predator.age,
+            currentSize: predator.currentSize,
+            threatLevel: predator.threatLevel
+        }));
+    }
+
+    /**
+     * Removes every predator without death effects (used before loading a save)
+     */
+    static clearAll() {
+        this.allPredators.slice().forEach(predator => {
+            predator.isDead = true;
+            predator.cleanup();
+        });
+        this.allPredators = [];
+        this.territoryMap.clear();
+    }
+
+    /**
+     * Rebuilds the predator population from serializeAll() output
+     */
+    static restoreAll(scene, data) {
+        this.clearAll();
+
+        return data.map(entry => {
+            const predator = new PredatoryThornvine(scene, BABYLON.Vector3.FromArray(entry.position), entry.config);
+            predator.age = entry.age;
+            predator.maturity = Math.min(1, predator.age / predator.config.maturityAge);
+            predator.currentSize = entry.currentSize;
+            predator.threatLevel = entry.threatLevel;
+            predator.mainBody.scaling = new BABYLON.Vector3(predator.currentSize, predator.currentSize, predator.currentSize);
+            return predator;
+        });
+    }
+
     /**
      * Creates a new predatory thornvine
      * @param {BABYLON.Scene} scene The Babylon.js scene
@@ -768,9 +810,9 @@
     constructor(scene, position, config = {}) {
       this.scene = scene;
       this.position = position || new BABYLON.Vector3(
-        (Math.random() - 0.5) * 100, 
+        (ecosystemRandom() - 0.5) * 100, 
         0, 
-        (Math.random() - 0.5) * 100
+        (ecosystemRandom() - 0.5) * 100
       );
 
       // Ground snapping for menacing emergence
@@ -779,47 +821,47 @@
       // Predatory plant configuration
       this.config = Object.assign({
         // Size and Aggression
-        initialSize: 0.3 + Math.random() * 0.5,
-        maxSize: 4.0 + Math.random() * 6.0,
-        growthRate: 0.08 + Math.random() * 0.05, // Faster growth
-        aggressionLevel: 0.7 + Math.random() * 0.3,
+        initialSize: 0.3 + ecosystemRandom() * 0.5,
+        maxSize: 4.0 + ecosystemRandom() * 6.0,
+        growthRate: 0.08 + ecosystemRandom() * 0.05, // Faster growth
+        aggressionLevel: 0.7 + ecosystemRandom() * 0.3,
         
         // Thorny Appendages
-        thornCount: 8 + Math.floor(Math.random() * 12),
-        maxThornLength: 4 + Math.random() * 6,
-        thornThickness: 0.15 + Math.random() * 0.1,
-        thornSharpness: 0.8 + Math.random() * 0.2,
+        thornCount: 8 + Math.floor(ecosystemRandom() * 12),
+        maxThornLength: 4 + ecosystemRandom() * 6,
+        thornThickness: 0.15 + ecosystemRandom() * 0.1,
+        thornSharpness: 0.8 + ecosystemRandom() * 0.2,
         
         // Hunting Behavior
-        detectionRadius: 15 + Math.random() * 10,
-        attackRadius: 8 + Math.random() * 5,
-        huntingSpeed: 2.0 + Math.random() * 1.5,
-        preyPreference: Math.random(), // 0 = small prey, 1 = large prey
+        detectionRadius: 15 + ecosystemRandom() * 10,
+        attackRadius: 8 + ecosystemRandom() * 5,
+        huntingSpeed: 2.0 + ecosystemRandom() * 1.5,
+        preyPreference: ecosystemRandom(), // 0 = small prey, 1 = large prey
         
         // Territory Control
-        territoryRadius: 12 + Math.random() * 8,
-        territoryAggression: 0.6 + Math.random() * 0.4,
-        expansionRate: 0.05 + Math.random() * 0.03,
+        territoryRadius: 12 + ecosystemRandom() * 8,
+        territoryAggression: 0.6 + ecosystemRandom() * 0.4,
+        expansionRate: 0.05 + ecosystemRandom() * 0.03,
         
         // Visual Menace
-        thornyDensity: 0.8 + Math.random() * 0.2,
-        glowIntensity: 0.3 + Math.random() * 0.4,
-        pulseRate: 1.5 + Math.random() * 1.0,
+        thornyDensity: 0.8 + ecosystemRandom() * 0.2,
+        glowIntensity: 0.3 + ecosystemRandom() * 0.4,
+        pulseRate: 1.5 + ecosystemRandom() * 1.0,
         
         // Toxic Properties
-        toxicityLevel: 0.5 + Math.random() * 0.5,
-        sporeRadius: 6 + Math.random() * 4,
-        toxicDamage: 10 + Math.random() * 15,
+        toxicityLevel: 0.5 + ecosystemRandom() * 0.5,
+        sporeRadius: 6 + ecosystemRandom() * 4,
+        toxicDamage: 10 + ecosystemRandom() * 15,
         
         // Health and Dominance
-        health: 200 + Math.random() * 150,
-        maxAge: 500 + Math.random() * 300,
-        maturityAge: 20 + Math.random() * 15, // Faster maturity
-        dominanceLevel: Math.random(),
+        health: 200 + ecosystemRandom() * 150,
+        maxAge: 500 + ecosystemRandom() * 300,
+        maturityAge: 20 + ecosystemRandom() * 15, // Faster maturity
+        dominanceLevel: ecosystemRandom(),
         
         // Environmental Adaptation
-        hostilityToOtherPlants: 0.8 + Math.random() * 0.2,
-        territorialInstinct: 0.9 + Math.random() * 0.1,
+        hostilityToOtherPlants: 0.8 + ecosystemRandom() * 0.2,
+        territorialInstinct: 0.9 + ecosystemRandom() * 0.1,
         
         // Performance
         updateFrequency: 1 // More frequent updates for aggression
@@ -839,9 +881,9 @@
       this.threatLevel = 0; // 0 = calm, 1 = maximum threat
 
       // Behavioral animation properties
-      this.huntingPhase = Math.random() * Math.PI * 2;
-      this.threatPhase = Math.random() * Math.PI * 2;
-      this.pulsePhase = Math.random() * Math.PI * 2;
+      this.huntingPhase = cosmeticRandom() * Math.PI * 2;
+      this.threatPhase = cosmeticRandom() * Math.PI * 2;
+      this.pulsePhase = cosmeticRandom() * Math.PI * 2;
       this.lastAttackTime = 0;
 
       // Create predatory components
@@ -856,6 +898,7 @@
       
       // Add to global predator systems
       PredatoryThornvine.allPredators.push(this);
+      game.spatial.insert(this, 'plant', this.position);
       PredatoryThornvine.territoryMap.set(this, {
         center: this.position.clone(),
         radius: this.config.territoryRadius,
@@ -937,14 +980,14 @@
         // Heavily deform for menacing appearance
         const positions = this.mainBody.getVerticesData(BABYLON.VertexBuffer.PositionKind);
         for (let i = 0; i < positions.length; i += 3) {
-            const deformX = (Math.random() - 0.5) * 0.3;
-            const deformY = (Math.random() - 0.5) * 0.2;
-            const deformZ = (Math.random() - 0.5) * 0.3;
+            const deformX = (cosmeticRandom() - 0.5) * 0.3;
+            const deformY = (cosmeticRandom() - 0.5) * 0.2;
+            const deformZ = (cosmeticRandom() - 0.5) * 0.3;
             
             // Create more dramatic spikes
-            const spikeChance = Math.random();
+            const spikeChance = cosmeticRandom();
             if (spikeChance > 0.7) {
-                const spikeMult = 1 + Math.random() * 0.5;
+                const spikeMult = 1 + cosmeticRandom() * 0.5;
                 positions[i] *= spikeMult;
                 positions[i + 1] *= spikeMult;
                 positions[i + 2] *= spikeMult;
@@ -984,8 +1027,8 @@
      * Creates a single menacing thorn
      */
     createThorn(index) {
-        const angle = (index / this.config.thornCount) * Math.PI * 2 + Math.random() * 0.3;
-        const thornLength = this.config.maxThornLength * (0.6 + Math.random() * 0.4);
+        const angle = (index / this.config.thornCount) * Math.PI * 2 + cosmeticRandom() * 0.3;
+        const thornLength = this.config.maxThornLength * (0.6 + cosmeticRandom() * 0.4);
         
         // Create jagged thorn path
         const points = [];
@@ -1004,7 +1047,7 @@
             const height = Math.sin(t * Math.PI) * 0.4 * this.currentSize + t * this.currentSize * 0.8;
             
             // Make thorns more jagged
-            const jag = (Math.random() - 0.5) * 0.2 * t;
+            const jag = (cosmeticRandom() - 0.5) * 0.2 * t;
             
             points.push(new BABYLON.Vector3(
                 baseX + curve * Math.cos(angle + Math.PI/2) + jag,
@@ -1072,29 +1115,10 @@
      * Creates dramatic emergence effect
      */
     createEmergenceEffect() {
+        if (game.headless) return;
+
         // Ground cracking effect
-        const crackParticles = new BABYLON.ParticleSystem("emergence", 200, this.scene);
-        
-        crackParticles.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
-            null, () => crackParticles.particleTexture = null);
-        
-        crackParticles.emitter = this.mainBody.position.clone();
-        crackParticles.minEmitBox = new BABYLON.Vector3(-2, -0.1, -2);
-        crackParticles.maxEmitBox = new BABYLON.Vector3(2, 0.1, 2);
-        
-        crackParticles.color1 = new BABYLON.Color4(0.4, 0.2, 0.1, 1.0);
-        crackParticles.color2 = new BABYLON.Color4(0.2, 0.1, 0.05, 0.0);
-        
-        crackParticles.minSize = 0.1;
-        crackParticles.maxSize = 0.3;
-        crackParticles.minLifeTime = 1;
-        crackParticles.maxLifeTime = 2;
-        
-        crackParticles.emitRate = 150;
-        crackParticles.gravity = new BABYLON.Vector3(0, -5, 0);
-        crackParticles.targetStopDuration = 1.5;
-        crackParticles.disposeOnStop = true;
-        crackParticles.start();
+        game.particles.spawn('thornEmergence', this.mainBody.position);
         
         console.log("PredatoryThornvine emerged with menacing presence!", "PredatoryThornvine");
     }
@@ -1133,16 +1157,15 @@
      * Detects potential prey within range
      */
     detectPrey() {
-        // Scan for other entities in range
-        const nearbyEntities = this.scene.meshes.filter(mesh => {
-            if (!mesh.position || mesh === this.mainBody) return false;
-            
-            const distance = BABYLON.Vector3.Distance(this.position, mesh.position);
-            return distance <= this.config.detectionRadius && distance > 1;
-        });
+        if (this.currentTarget) return;
+
+        // Enemies, structures and other plants in range
+        const nearbyEntities = game.spatial.queryRadius(['enemy', 'tower', 'colony', 'plant'], this.position, this.config.detectionRadius)
+            .map(entity => entity.base || entity.mesh) // Towers keep their mesh as `base`
+            .filter(mesh => mesh !== this.mainBody && BABYLON.Vector3.Distance(this.position, mesh.position) > 1);
         
-        if (nearbyEntities.length > 0 && !this.currentTarget) {
-            this.currentTarget = nearbyEntities[Math.floor(Math.random() * nearbyEntities.length)];
+        if (nearbyEntities.length > 0) {
+            this.currentTarget = nearbyEntities[Math.floor(ecosystemRandom() * nearbyEntities.length)];
             this.isHunting = true;
             this.threatLevel = Math.min(1, this.threatLevel + 0.5);
             
@@ -1262,6 +1285,7 @@
             0.02 + Math.sin(time * this.config.pulseRate + this.pulsePhase) * 0.01,
             0.02
         );
+        if (game.headless) return; // Thorn tube rebuilds are visual only
         
         // Thorn animation based on aggression
         this.thorns.forEach((thorn, index) => {
@@ -1306,7 +1330,7 @@
         if (!this.toxicAura.isVisible) return;
         
         // Pulse toxic aura
-        const pulse = 1 + Math.sin(performance.now() * 0.003) * 0.2;
+        const pulse = 1 + Math.sin(game.clock.time * 0.003) * 0.2;
         this.toxicAura.scaling = new BABYLON.Vector3(pulse, pulse, pulse);
         
         // Gradually hide aura when not threatened
@@ -1340,34 +1364,10 @@
      * Creates aggressive attack visual effect
      */
     createAttackEffect() {
+        if (game.headless) return;
+
         // Explosive attack particles
-        const attackParticles = new BABYLON.ParticleSystem("attack", 300, this.scene);
-        
-        attackParticles.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
-            null, () => attackParticles.particleTexture = null);
-        
-        attackParticles.emitter = this.mainBody.position.clone();
-        attackParticles.minEmitBox = new BABYLON.Vector3(-1, -1, -1);
-        attackParticles.maxEmitBox = new BABYLON.Vector3(1, 1, 1);
-        
-        attackParticles.color1 = new BABYLON.Color4(0.8, 0.2, 0.1, 1.0);
-        attackParticles.color2 = new BABYLON.Color4(0.4, 0.1, 0.05, 0.0);
-        
-        attackParticles.minSize = 0.1;
-        attackParticles.maxSize = 0.4;
-        attackParticles.minLifeTime = 0.5;
-        attackParticles.maxLifeTime = 1.5;
-        
-        attackParticles.emitRate = 200;
-        
-        // Explosive outward direction
-        attackParticles.minEmitPower = 5;
-        attackParticles.maxEmitPower = 15;
-        attackParticles.updateSpeed = 0.01;
-        
-        attackParticles.targetStopDuration = 0.3;
-        attackParticles.disposeOnStop = true;
-        attackParticles.start();
+        game.particles.spawn('thornAttack', this.mainBody.position);
     }
 
     /**
@@ -1395,29 +1395,10 @@
         // Violent death throes effect
         this.bodyMaterial.diffuseColor = new BABYLON.Color3(0.1, 0.05, 0.05);
         this.bodyMaterial.emissiveColor = new BABYLON.Color3(0, 0, 0);
+        if (game.headless) return;
         
         // Create explosive particles
-        const deathParticles = new BABYLON.ParticleSystem("deathThrows", 500, this.scene);
-        deathParticles.particleTexture = new BABYLON.Texture("textures/flare.png", this.scene, true, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
-            null, () => deathParticles.particleTexture = null);
-        
-        deathParticles.emitter = this.mainBody.position.clone();
-        deathParticles.minEmitBox = new BABYLON.Vector3(-2, -2, -2);
-        deathParticles.maxEmitBox = new BABYLON.Vector3(2, 2, 2);
-        
-        deathParticles.color1 = new BABYLON.Color4(0.8, 0.1, 0.1, 1.0);
-        deathParticles.color2 = new BABYLON.Color4(0.2, 0.05, 0.05, 0.0);
-        
-        deathParticles.minSize = 0.2;
-        deathParticles.maxSize = 0.8;
-        deathParticles.minLifeTime = 1;
-        deathParticles.maxLifeTime = 2.5;
-        
-        deathParticles.emitRate = 300;
-        deathParticles.gravity = new BABYLON.Vector3(0, -10, 0);
-        deathParticles.targetStopDuration = 1;
-        deathParticles.disposeOnStop = true;
-        deathParticles.start();
+        game.particles.spawn('thornDeath', this.mainBody.position);
         
         console.log("PredatoryThornvine has been destroyed!", "PredatoryThornvine");
     }
@@ -1426,6 +1407,7 @@
      * Cleans up all predator resources
      */
     cleanup() {
+        game.spatial.remove(this);
         this.thorns.forEach(thorn => {
             if (thorn.mesh && !thorn.mesh.isDisposed()) {
                 thorn.mesh.dispose();
@@ -0,0 +1,33 @@
+// pool.js
+
+/**
+ * Reuses meshes that come and go many times a wave (shots, beams, health bars) instead
+ * of building and disposing one each time. Released meshes are disabled and detached,
+ * and handed out again by the next acquire().
+ */
+class MeshPool {
+    /**
+     * @param {Function} create Builds a new mesh when the pool is empty
+     */
+    constructor(create) {
+        this.create = create;
+        this.free = [];
+        this.created = 0; // Meshes built so far, in use or free
+    }
+
+    acquire() {
+        let mesh = this.free.pop();
+        if (!mesh) {
+            mesh = this.create();
+            this.created++;
+        }
+        mesh.setEnabled(true);
+        return mesh;
+    }
+
+    release(mesh) {
+        mesh.setEnabled(false);
+        mesh.parent = null;
+        this.free.push(mesh);
+    }
+}
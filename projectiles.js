@@ -0,0 +1,176 @@
+// projectiles.js
+
+/**
+ * A tower's shot in flight. The tower's `projectile` stat picks how it flies (see
+ * PROJECTILE_TYPES); `hitscan` towers fire a beam instead (see fireBeam in game.js).
+ *
+ * Shots move on the simulation clock. Each step they test the whole segment they swept
+ * against the enemies, so a fast shot can't pass through a target between two steps.
+ * The game owns what a hit does; a projectile only reports what it touched.
+ */
+class Projectile {
+    static key = 'bolt'; // Flies straight along the direction fixed when fired
+    static SPEED = 132; // Units per second
+    static LIFETIME = 1.6; // Seconds before a miss expires
+    static RADIUS = 0.4;
+
+    /**
+     * @param {Tower} tower Firing tower, with a target
+     * @param {BABYLON.Vector3} start Muzzle position
+     */
+    constructor(tower, start) {
+        this.position = start.clone(); // Simulated position; the mesh is interpolated towards it
+        this.prevPosition = start.clone();
+        this.mesh = null; // Borrowed from `pool`, which the game sets
+        this.pool = null;
+        this.target = tower.target;
+        this.damage = tower.data.damage;
+        this.damageType = tower.data.damageType;
+        this.splashRadius = tower.data.splashRadius || 0;
+        this.effects = tower.data.effects || []; // Status effects every hit applies
+        this.source = tower.type;
+        this.life = 0;
+        this.velocity = this.launch(tower);
+    }
+
+    /** Initial velocity */
+    launch(tower) {
+        return this.target.position.subtract(this.position).normalize().scaleInPlace(this.constructor.SPEED);
+    }
+
+    get targetAlive() {
+        return this.target && this.target.health > 0 && !this.target.mesh.isDisposed();
+    }
+
+    get expired() {
+        return this.life > this.constructor.LIFETIME;
+    }
+
+    /**
+     * Runs one simulation step
+     */
+    update(dt) {
+        this.prevPosition.copyFrom(this.position);
+        this.steer(dt);
+        this.position.addInPlaceFromFloats(this.velocity.x * dt, this.velocity.y * dt, this.velocity.z * dt);
+        this.life += dt;
+    }
+
+    /** Adjusts the velocity before the step's move */
+    steer(dt) {}
+
+    /**
+     * Enemies the last step's path passed through, nearest first, each with the point on
+     * the path where the shot reached it: `{ enemy, point, t }`
+     */
+    sweep(enemies) {
+        const touched = [];
+        for (const enemy of enemies) {
+            if (enemy.health <= 0) continue;
+            const along = Projectile.closestOnSegment(enemy.position, this.prevPosition, this.position);
+            if (BABYLON.Vector3.Distance(along.point, enemy.position) <= enemy.hitRadius + Projectile.RADIUS) {
+                touched.push({ enemy: enemy, point: along.point, t: along.t });
+            }
+        }
+        return touched.sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * Point on the segment from..to closest to `point`, and how far along it is (0-1)
+     */
+    static closestOnSegment(point, from, to) {
+        const segment = to.subtract(from);
+        const lengthSquared = segment.lengthSquared();
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, BABYLON.Vector3.Dot(point.subtract(from), segment) / lengthSquared))
+            : 0;
+        return { point: from.add(segment.scaleInPlace(t)), t: t };
+    }
+}
+
+/**
+ * Turns towards its target by at most `turnRate` radians per second (the tower's stat,
+ * or TURN_RATE). Flies straight on once the target is gone.
+ */
+class HomingMissile extends Projectile {
+    static key = 'homing';
+    static SPEED = 70;
+    static LIFETIME = 3;
+    static TURN_RATE = 4;
+
+    constructor(tower, start) {
+        super(tower, start);
+        this.turnRate = tower.data.turnRate || HomingMissile.TURN_RATE;
+    }
+
+    steer(dt) {
+        if (!this.targetAlive) return;
+
+        const heading = this.velocity.normalizeToNew();
+        const wanted = this.target.position.subtract(this.position).normalize();
+        const angle = Math.acos(Math.max(-1, Math.min(1, BABYLON.Vector3.Dot(heading, wanted))));
+        const maxTurn = this.turnRate * dt;
+        if (angle <= maxTurn) {
+            this.velocity = wanted.scaleInPlace(HomingMissile.SPEED);
+            return;
+        }
+
+        // Rotate the heading towards `wanted` in the plane they share
+        let side = wanted.subtract(heading.scale(Math.cos(angle)));
+        if (side.lengthSquared() < 1e-9) side = BABYLON.Vector3.Cross(heading, BABYLON.Axis.Y); // Target straight behind
+        if (side.lengthSquared() < 1e-9) side = BABYLON.Vector3.Cross(heading, BABYLON.Axis.X);
+        side.normalize();
+        this.velocity = heading.scale(Math.cos(maxTurn)).addInPlace(side.scaleInPlace(Math.sin(maxTurn)))
+            .scaleInPlace(HomingMissile.SPEED);
+    }
+}
+
+/**
+ * Lobbed on a gravity arc at where the target will be when the shell arrives, assuming
+ * it keeps its current velocity. Lands (and expires) at the height it was aimed at.
+ */
+class BallisticShell extends Projectile {
+    static key = 'ballistic';
+    static SPEED = 60; // Horizontal units per second
+    static GRAVITY = 30;
+    static LIFETIME = 3;
+
+    launch(tower) {
+        const stepSeconds = tower.game.clock.stepMs / 1000;
+        this.aim = BallisticShell.lead(this.position, this.target, BallisticShell.SPEED, stepSeconds);
+
+        const offset = this.aim.subtract(this.position);
+        const flightTime = Math.max(Math.hypot(offset.x, offset.z) / BallisticShell.SPEED, stepSeconds);
+        return new BABYLON.Vector3(
+            offset.x / flightTime,
+            (offset.y + 0.5 * BallisticShell.GRAVITY * flightTime * flightTime) / flightTime,
+            offset.z / flightTime
+        );
+    }
+
+    /**
+     * Where `enemy` will be when a shell fired from `from` reaches it
+     */
+    static lead(from, enemy, speed, stepSeconds) {
+        const velocity = enemy.position.subtract(enemy.prevPosition).scaleInPlace(1 / stepSeconds);
+        let aim = enemy.position.clone();
+        for (let i = 0; i < 3; i++) { // A few refinements converge for any enemy slower than the shell
+            const flightTime = Math.hypot(aim.x - from.x, aim.z - from.z) / speed;
+            aim = enemy.position.add(velocity.scale(flightTime));
+        }
+        return aim;
+    }
+
+    get expired() {
+        return super.expired || (this.velocity.y < 0 && this.position.y < this.aim.y);
+    }
+
+    steer(dt) {
+        this.velocity.y -= BallisticShell.GRAVITY * dt;
+    }
+}
+
+const PROJECTILE_TYPES = {};
+[Projectile, HomingMissile, BallisticShell].forEach(type => {
+    PROJECTILE_TYPES[type.key] = type;
+});
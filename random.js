@@ -0,0 +1,94 @@
+// random.js
+
+/**
+ * Small seedable PRNG (mulberry32). Fast, 32 bits of state, good enough for games.
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /** Returns a float in [0, 1). Drop-in replacement for Math.random(). */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Float in [min, max) */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /** Integer in [0, count) */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+/**
+ * The game's single source of randomness.
+ *
+ * Every consumer draws from a named stream derived from the run seed, so e.g. extra
+ * hit particles (cosmetic) never shift which entry point the next enemy uses
+ * (gameplay). Re-running with the same seed replays the same run.
+ */
+class RandomService {
+    constructor(seed = RandomService.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.streams = {};
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Returns the stream with the given name, creating it on first use.
+     * @param {string} name e.g. 'gameplay', 'ecosystem', 'cosmetic'
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new SeededRandom(RandomService.hash(name, this.seed));
+        }
+        return this.streams[name];
+    }
+
+    /** Snapshot of the seed and every stream's position, for save games */
+    getState() {
+        const streams = {};
+        Object.keys(this.streams).forEach(name => {
+            streams[name] = this.streams[name].state;
+        });
+        return { seed: this.seed, streams: streams };
+    }
+
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.streams = {};
+        Object.keys(state.streams || {}).forEach(name => {
+            this.stream(name).state = state.streams[name] >>> 0;
+        });
+    }
+
+    /** FNV-1a over the stream name, mixed with the run seed */
+    static hash(name, seed) {
+        let h = (2166136261 ^ seed) >>> 0;
+        for (let i = 0; i < name.length; i++) {
+            h ^= name.charCodeAt(i);
+            h = Math.imul(h, 16777619) >>> 0;
+        }
+        return h;
+    }
+}
@@ -26,13 +26,18 @@ class PauseMenu {
                 <h2 style="font-size: 1.5em; margin-bottom: 30px; color: #ff8c00; font-weight: normal;">SYSTEM PAUSED</h2>
                 <div class="menu-options" style="display: flex; flex-direction: column; gap: 18px;">
                     <button id="resumeBtn" class="menu-btn">RESUME</button>
+                    <button id="saveGameBtn" class="menu-btn">SAVE GAME</button>
+                    <button id="pauseLoadGameBtn" class="menu-btn">LOAD GAME</button>
+                    <button id="exportSaveBtn" class="menu-btn">DOWNLOAD SAVE</button>
+                    <button id="importSaveBtn" class="menu-btn">LOAD FROM FILE</button>
                     <button id="restartBtn" class="menu-btn">RESTART</button>
                     <button id="inspectorBtn" class="menu-btn">DEBUG INSPECTOR</button>
                     <button id="exitBtn" class="menu-btn">EXIT</button>
                 </div>
                 <div style="margin-top: 40px; font-size: 1em; color: #ff8c00;">
                     <p>Current Wave: <span id="pauseWave">${this.game.wave}</span></p>
-                    <p>Gold: <span id="pauseGold">${this.game.gold}</span> | Lives: <span id="pauseLives">${this.game.lives}</span></p>
+                    <p>Gold: <span id="pauseGold">${this.game.gold}</span> | Colonies: <span id="pauseColonies">${this.game.colonies.length}</span></p>
+                    <p id="pauseStatus" style="min-height: 1.2em; color: #ffaf40;"></p>
                 </div>
             </div>
             <style>
@@ -67,6 +72,17 @@ class PauseMenu {
 
     setupEventListeners() {
         document.getElementById('resumeBtn').onclick = () => this.game.togglePause();
+        document.getElementById('saveGameBtn').onclick = () => {
+            this.game.saveManager.saveToLocalStorage();
+            this.setStatus('Game saved');
+        };
+        document.getElementById('pauseLoadGameBtn').onclick = () => {
+            this.loadSave(() => SaveManager.loadFromLocalStorage());
+        };
+        document.getElementById('exportSaveBtn').onclick = () => this.game.saveManager.download();
+        document.getElementById('importSaveBtn').onclick = () => {
+            this.loadSave(() => SaveManager.chooseFile());
+        };
         document.getElementById('restartBtn').onclick = () => location.reload();
         document.getElementById('exitBtn').onclick = () => window.close(); // Or redirect to a main menu
         document.getElementById('inspectorBtn').onclick = () => {
@@ -78,12 +94,33 @@ class PauseMenu {
         };
     }
 
+    async loadSave(readSave) {
+        try {
+            const data = await readSave();
+            await this.game.saveManager.restore(data);
+            this.updateStats();
+            this.setStatus(`Loaded wave ${this.game.wave}`);
+        } catch (error) {
+            console.error("❌ Failed to load save:", error);
+            this.setStatus(`Load failed: ${error.message}`);
+        }
+    }
+
+    setStatus(message) {
+        document.getElementById('pauseStatus').textContent = message;
+    }
+
     show() {
         this.menuElement.style.display = 'flex';
+        this.setStatus('');
+        this.updateStats();
+    }
+
+    updateStats() {
         // Update stats
         document.getElementById('pauseWave').textContent = this.game.wave;
         document.getElementById('pauseGold').textContent = this.game.gold;
-        document.getElementById('pauseLives').textContent = this.game.lives;
+        document.getElementById('pauseColonies').textContent = this.game.colonies.length;
     }
 
     hide() {
@@ -0,0 +1,220 @@
+// savegame.js
+
+/**
+ * Saves a run to plain JSON and rebuilds it, either from localStorage or from a
+ * downloaded .json file. Projectiles and Player Attack runs in flight are not saved -
+ * they are gone within seconds anyway. Ability cooldowns, repair drones and
+ * barricades are.
+ */
+class SaveManager {
+    static VERSION = 8;
+    static STORAGE_KEY = 'ordinaryDefense2.save';
+
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Captures the current run as a JSON-safe object
+     */
+    serialize() {
+        const game = this.game;
+        return {
+            version: SaveManager.VERSION,
+            savedAt: new Date().toISOString(),
+            rng: game.rng.getState(),
+            clock: { time: game.clock.time, tick: game.clock.tick },
+            state: {
+                mode: game.mode,
+                difficulty: game.difficulty,
+                gold: game.gold,
+                score: game.score,
+                towersDestroyed: game.towersDestroyed,
+                coloniesLost: game.coloniesLost,
+                colonyIncome: game.colonyIncome,
+                goldEarned: game.goldEarned,
+                goldSpent: game.goldSpent,
+                kills: game.kills,
+                wave: game.wave,
+                enemiesInWave: game.enemiesInWave,
+                enemiesSpawned: game.enemiesSpawned,
+                gameStarted: game.gameStarted,
+                waveTime: game.waveTime,
+                spawnQueue: game.spawnQueue,
+                campaignComplete: game.campaignComplete
+            },
+            towers: game.towers.map(tower => tower.serialize()),
+            colonies: game.colonies.map(colony => colony.serialize()),
+            targetColony: game.colonies.indexOf(game.targetColony),
+            enemies: game.enemies.map(enemy => enemy.serialize()),
+            abilities: Object.fromEntries(game.abilities.map(ability => [ability.constructor.key, ability.serialize()])),
+            plants: SprawlingPlant.serializeAll(),
+            predators: PredatoryThornvine.serializeAll()
+        };
+    }
+
+    /**
+     * Replaces the current run with a saved one. Everything that can fail - a bad record,
+     * a model or campaign that won't load - does so before the current run is cleared.
+     * @param {Object} data Output of serialize()
+     */
+    async restore(data) {
+        const game = this.game;
+        SaveManager.validate(data, game);
+        await game.preloadModels(SaveManager.modelFiles(data, game));
+        if (data.state.mode !== game.mode) await game.setMode(data.state.mode);
+
+        game.clearRun();
+
+        game.rng.setState(data.rng);
+        game.clock.reset();
+        game.clock.time = data.clock.time;
+        game.clock.tick = data.clock.tick;
+        game.setDifficulty(data.state.difficulty); // Reprices the towers before they are rebuilt
+        Object.assign(game, data.state);
+
+        for (const saved of data.colonies) {
+            game.colonies.push(await Colony.restore(game, saved));
+        }
+        game.targetColony = game.colonies[data.targetColony] || null;
+
+        for (const saved of data.towers) {
+            game.towers.push(await Tower.restore(game, saved));
+        }
+        game.updateLanes();
+
+        for (const ability of game.abilities) {
+            const saved = data.abilities[ability.constructor.key];
+            if (saved) ability.restore(saved);
+        }
+
+        for (const saved of data.enemies) {
+            game.addEnemy(await Enemy.restore(game, saved));
+        }
+
+        SprawlingPlant.restoreAll(game.scene, data.plants);
+        PredatoryThornvine.restoreAll(game.scene, data.predators);
+
+        if (game.gameStarted) {
+            game.setNextWaveButton(false, '⚔️ Wave Active...');
+        } else if (game.campaignComplete) {
+            game.setNextWaveButton(false, '🏆 CAMPAIGN COMPLETE');
+        } else {
+            game.setNextWaveButton(true, game.wave > 0 ? '🚀 NEXT WAVE' : 'ENGAGE HOSTILES');
+        }
+        game.updateUI();
+        console.log(`💾 Restored save from ${data.savedAt} (wave ${game.wave})`);
+    }
+
+    /**
+     * Throws a descriptive error if `data` is not a save this version can load into `game`
+     */
+    static validate(data, game) {
+        if (!data || typeof data !== 'object') {
+            throw new Error("Save data is not a JSON object");
+        }
+        if (data.version !== SaveManager.VERSION) {
+            throw new Error(`Unsupported save version ${data.version} (expected ${SaveManager.VERSION})`);
+        }
+        const required = ['rng', 'clock', 'state', 'towers', 'colonies', 'enemies', 'abilities', 'plants', 'predators'];
+        const missing = required.filter(key => data[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Save data is missing: ${missing.join(', ')}`);
+        }
+
+        const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+        const isPoint = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        if (!has(game.difficulties, data.state.difficulty)) {
+            throw new Error(`Unknown difficulty "${data.state.difficulty}"`);
+        }
+        if (data.state.mode !== 'campaign' && data.state.mode !== 'endless') {
+            throw new Error(`Unknown mode "${data.state.mode}"`);
+        }
+        const checkRecords = (name, records, types) => {
+            if (!Array.isArray(records)) throw new Error(`Save data ${name} is not a list`);
+            records.forEach((record, i) => {
+                if (!record || !has(types, record.type)) {
+                    throw new Error(`${name}[${i}]: unknown type "${record && record.type}"`);
+                }
+                if (!isPoint(record.position)) throw new Error(`${name}[${i}]: bad position`);
+                const tiers = (types[record.type].tiers || []).length;
+                if (record.tier !== undefined && !(Number.isInteger(record.tier) && record.tier >= 0 && record.tier <= tiers)) {
+                    throw new Error(`${name}[${i}]: bad tier ${record.tier}`);
+                }
+            });
+        };
+        checkRecords('towers', data.towers, game.baseTowerTypes);
+        checkRecords('colonies', data.colonies, game.colonyTypes);
+        checkRecords('enemies', data.enemies, ENEMY_TYPES);
+        data.enemies.forEach((enemy, i) => {
+            if (!Array.isArray(enemy.route) || enemy.route.length < 2 || !enemy.route.every(isPoint)) {
+                throw new Error(`enemies[${i}]: bad route`);
+            }
+        });
+    }
+
+    /**
+     * Every model file rebuilding the save's towers, colonies and enemies will load
+     */
+    static modelFiles(data, game) {
+        return [
+            ...data.towers.map(tower => game.towerModelFile(tower.type)),
+            ...data.colonies.map(colony => game.colonyTypes[colony.type].model),
+            ...data.enemies.map(enemy => ENEMY_TYPES[enemy.type].stats.model)
+        ];
+    }
+
+    saveToLocalStorage() {
+        localStorage.setItem(SaveManager.STORAGE_KEY, JSON.stringify(this.serialize()));
+        console.log("💾 Game saved to browser storage");
+    }
+
+    static hasLocalSave() {
+        return localStorage.getItem(SaveManager.STORAGE_KEY) !== null;
+    }
+
+    static loadFromLocalStorage() {
+        const json = localStorage.getItem(SaveManager.STORAGE_KEY);
+        if (json === null) {
+            throw new Error("No saved game in browser storage");
+        }
+        return JSON.parse(json);
+    }
+
+    /**
+     * Offers the current run as a .json download
+     */
+    download() {
+        const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ordinary-defense-2-wave${this.game.wave}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Lets the player pick a save file and resolves with its parsed contents
+     */
+    static chooseFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.onchange = () => {
+                const file = input.files[0];
+                if (!file) {
+                    reject(new Error("No file selected"));
+                    return;
+                }
+                file.text()
+                    .then(text => resolve(JSON.parse(text)))
+                    .catch(error => reject(new Error(`Could not read ${file.name}: ${error.message}`)));
+            };
+            input.click();
+        });
+    }
+}
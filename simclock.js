@@ -0,0 +1,87 @@
+// simclock.js
+
+/**
+ * Fixed-timestep simulation clock.
+ *
+ * The render loop feeds real frame time into advance(); the clock banks it in an
+ * accumulator and runs the registered step callbacks in fixed slices, so gameplay
+ * runs at the same speed on a 30 Hz laptop and a 144 Hz monitor. Nothing is
+ * accumulated while the game is paused because the loop stops calling advance().
+ *
+ * Gameplay code reads `time` (simulated milliseconds) instead of Date.now(), and
+ * moves things by the `dt` (seconds) handed to each step. Meshes are drawn between
+ * the last two simulated states using `alpha`.
+ */
+class SimulationClock {
+    constructor(stepMs = 1000 / 60, maxStepsPerFrame = 5) {
+        this.stepMs = stepMs;
+        this.maxStepsPerFrame = maxStepsPerFrame; // Avoids a spiral of death after a long hitch
+        this.accumulator = 0;
+        this.time = 0; // Simulated milliseconds since the run started
+        this.tick = 0; // Number of fixed steps taken
+        this.alpha = 0; // Interpolation factor between previous and current state
+        this.stepCallbacks = [];
+    }
+
+    get stepSeconds() {
+        return this.stepMs / 1000;
+    }
+
+    /**
+     * Registers a callback run once per fixed step as fn(dtSeconds, timeMs).
+     * Returns a function that unregisters it.
+     */
+    onStep(fn) {
+        this.stepCallbacks.push(fn);
+        return () => {
+            const index = this.stepCallbacks.indexOf(fn);
+            if (index !== -1) this.stepCallbacks.splice(index, 1);
+        };
+    }
+
+    /**
+     * Feeds elapsed real time into the clock and runs as many fixed steps as fit.
+     * @param {number} frameMs Real milliseconds since the previous frame
+     * @returns {number} Number of steps that were run
+     */
+    advance(frameMs) {
+        this.accumulator += Math.min(Math.max(frameMs, 0), this.stepMs * this.maxStepsPerFrame);
+
+        let steps = 0;
+        while (this.accumulator >= this.stepMs) {
+            this.step();
+            this.accumulator -= this.stepMs;
+            steps++;
+        }
+
+        this.alpha = this.accumulator / this.stepMs;
+        return steps;
+    }
+
+    /**
+     * Runs exactly one fixed step, regardless of the accumulator.
+     */
+    step() {
+        this.time += this.stepMs;
+        this.tick++;
+        const dt = this.stepSeconds;
+        for (const fn of this.stepCallbacks.slice()) {
+            fn(dt, this.time);
+        }
+    }
+
+    /**
+     * Writes the render-time position between two simulated positions into `out`.
+     */
+    interpolate(previous, current, out) {
+        BABYLON.Vector3.LerpToRef(previous, current, this.alpha, out);
+        return out;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.time = 0;
+        this.tick = 0;
+        this.alpha = 0;
+    }
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// simulate.js - Headless balance runs in Node.
+//
+// Loads the game scripts into a sandbox with BABYLON.NullEngine (no DOM, audio, video
+// or particles), builds a scripted layout and plays a number of waves as fast as the
+// CPU allows, then prints a JSON summary per run.
+//
+// Needs the `babylonjs` npm package next to the repo or on NODE_PATH (npm install babylonjs).
+//
+//   node simulate.js --layout assets/layouts/default.json --waves 10 --seed 42
+//   node simulate.js --waves 8 --set towerTypes.basic.damage=30 --set towerTypes.basic.cost=50
+//   node simulate.js --waves 8 --sweep towerTypes.missile.damage=40,60,80 --runs 3
+//   node simulate.js --campaign my_campaign.json --waves 20
+//   node simulate.js --waves 10 --difficulty nightmare
+//   node simulate.js --waves 25 --endless --seed 7
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser-independent game scripts, in index.html order
+const GAME_SCRIPTS = [
+    'simclock.js',
+    'random.js',
+    'pool.js',
+    'spatial.js',
+    'waves.js',
+    'endless.js',
+    'navigation.js',
+    'modelcache.js',
+    'particle.js',
+    'damage.js',
+    'statuseffects.js',
+    'enemy.js',
+    'tower.js',
+    'projectiles.js',
+    'airstrike.js',
+    'abilities.js',
+    'colony.js',
+    'savegame.js',
+    'plantlife.js',
+    'game.js'
+];
+
+function parseArgs(argv) {
+    const args = { layout: 'assets/layouts/default.json', campaign: 'assets/waves/campaign.json', waves: 5, runs: 1, seed: undefined, difficulty: undefined, mode: undefined, set: [], sweep: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--layout': args.layout = argv[++i]; break;
+            case '--campaign': args.campaign = argv[++i]; break;
+            case '--waves': args.waves = parseInt(argv[++i], 10); break;
+            case '--runs': args.runs = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--difficulty': args.difficulty = argv[++i]; break;
+            case '--endless': args.mode = 'endless'; break;
+            case '--set': args.set.push(parseAssignment(argv[++i])); break;
+            case '--sweep': args.sweep = parseSweep(argv[++i]); break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': {
+                // The header comment, however long it grows
+                const lines = fs.readFileSync(__filename, 'utf8').split('\n').slice(1); // Past the shebang
+                const header = lines.slice(0, lines.findIndex(line => !line.startsWith('//')));
+                console.log(header.map(l => l.replace(/^\/\/ ?/, '')).join('\n'));
+                process.exit(0);
+            }
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function parseValue(raw) {
+    const num = Number(raw);
+    return Number.isNaN(num) ? raw : num;
+}
+
+// "towerTypes.basic.damage=30" -> { key, value }
+function parseAssignment(text) {
+    const eq = text ? text.indexOf('=') : -1;
+    if (eq <= 0) throw new Error(`Expected key=value, got: ${text}`);
+    return { key: text.slice(0, eq), value: parseValue(text.slice(eq + 1)) };
+}
+
+// "towerTypes.basic.damage=20,25,30" -> { key, values }
+function parseSweep(text) {
+    const { key, value } = parseAssignment(text);
+    return { key, values: String(value).split(',').map(parseValue) };
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    let obj = target;
+    for (const part of parts.slice(0, -1)) {
+        if (obj[part] === undefined) throw new Error(`No such setting: ${key}`);
+        obj = obj[part];
+    }
+    obj[parts[parts.length - 1]] = value;
+}
+
+function createSandbox(verbose) {
+    const BABYLON = require('babylonjs');
+    if (!verbose) {
+        BABYLON.Logger.LogLevels = BABYLON.Logger.WarningLogLevel | BABYLON.Logger.ErrorLogLevel;
+    }
+    const quiet = () => {};
+    const sandbox = {
+        BABYLON,
+        console: {
+            log: verbose ? console.error : quiet, // Keep stdout clean for the JSON results
+            info: verbose ? console.error : quiet,
+            warn: console.error,
+            error: console.error
+        },
+        performance,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URLSearchParams
+    };
+    sandbox.window = sandbox; // Scripts that expose globals via window.X land in the sandbox
+    vm.createContext(sandbox);
+
+    for (const script of GAME_SCRIPTS) {
+        const file = path.join(__dirname, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+async function runOnce(scenario, campaignData, overrides, seed, args) {
+    const sandbox = createSandbox(args.verbose);
+    sandbox.__options = { headless: true, seed: seed, difficulty: args.difficulty, mode: args.mode, campaignData: campaignData.data, campaignUrl: campaignData.file };
+    vm.runInContext('game = new TowerDefenseGame(__options);', sandbox);
+    const game = vm.runInContext('game', sandbox);
+
+    for (const { key, value } of overrides) {
+        setPath(game, key, value);
+    }
+
+    const result = await game.runHeadless(scenario);
+    game.scene.dispose();
+    game.engine.dispose();
+    return result;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const layout = JSON.parse(fs.readFileSync(path.resolve(args.layout), 'utf8'));
+    const scenario = Object.assign({}, layout, { waves: args.waves });
+    const campaignData = { file: args.campaign, data: JSON.parse(fs.readFileSync(path.resolve(args.campaign), 'utf8')) };
+
+    const sweepValues = args.sweep ? args.sweep.values : [undefined];
+    for (const sweepValue of sweepValues) {
+        const overrides = args.set.slice();
+        if (args.sweep) overrides.push({ key: args.sweep.key, value: sweepValue });
+
+        for (let run = 0; run < args.runs; run++) {
+            // Consecutive runs use consecutive seeds so a sweep compares like with like
+            const seed = args.seed !== undefined ? args.seed + run : undefined;
+            const result = await runOnce(scenario, campaignData, overrides, seed, args);
+            if (args.sweep) result[args.sweep.key] = sweepValue;
+            console.log(JSON.stringify(result));
+        }
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ Simulation failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,122 @@
+// spatial.js
+
+/**
+ * Uniform grid over the ground plane (x, z) that answers "what is near here" without
+ * scanning every entity. Towers, enemies, colonies and plants register under a kind;
+ * queries name the kinds they want.
+ *
+ * An entry keeps a reference to its entity's position vector. Entities that move must
+ * call update() afterwards so the entry changes cell. Query results come back in the
+ * order entities were registered, so they don't depend on the grid layout - targeting
+ * ties resolve exactly as they would scanning the game's lists.
+ */
+class SpatialIndex {
+    /**
+     * @param {number} cellSize Cell width in world units; about the typical query radius
+     */
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> Set of entries
+        this.entries = new Map(); // Entity -> { item, kind, position, cell, order }
+        this.registered = 0;
+    }
+
+    /**
+     * @param {Object} item Entity to return from queries
+     * @param {string} kind e.g. 'enemy', 'tower', 'colony', 'plant'
+     * @param {BABYLON.Vector3} position Kept by reference
+     */
+    insert(item, kind, position) {
+        if (this.entries.has(item)) this.remove(item);
+        const entry = { item: item, kind: kind, position: position, cell: this.cellKey(position.x, position.z), order: this.registered++ };
+        this.entries.set(item, entry);
+        this.addToCell(entry);
+    }
+
+    /** Moves an entity's entry to the cell its position is now in */
+    update(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+        const cell = this.cellKey(entry.position.x, entry.position.z);
+        if (cell === entry.cell) return;
+        this.removeFromCell(entry);
+        entry.cell = cell;
+        this.addToCell(entry);
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+        this.removeFromCell(entry);
+        this.entries.delete(item);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * Entities of `kinds` (a kind or an array of them) within `radius` of `position`
+     */
+    queryRadius(kinds, position, radius) {
+        const found = [];
+        this.forEachNear(kinds, position, radius, entry => found.push(entry));
+        return found.sort((a, b) => a.order - b.order).map(entry => entry.item);
+    }
+
+    /**
+     * Closest entity of `kinds` within `radius` of `position`, or null. Of equally
+     * close ones, the first registered wins.
+     */
+    nearest(kinds, position, radius) {
+        let best = null;
+        let bestDistance = Infinity;
+        this.forEachNear(kinds, position, radius, (entry, distance) => {
+            if (distance < bestDistance || (distance === bestDistance && entry.order < best.order)) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+        return best ? best.item : null;
+    }
+
+    forEachNear(kinds, position, radius, callback) {
+        const wanted = Array.isArray(kinds) ? kinds : [kinds];
+        const minX = Math.floor((position.x - radius) / this.cellSize);
+        const maxX = Math.floor((position.x + radius) / this.cellSize);
+        const minZ = Math.floor((position.z - radius) / this.cellSize);
+        const maxZ = Math.floor((position.z + radius) / this.cellSize);
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                const cell = this.cells.get(SpatialIndex.key(x, z));
+                if (!cell) continue;
+                for (const entry of cell) {
+                    if (!wanted.includes(entry.kind)) continue;
+                    const distance = BABYLON.Vector3.Distance(position, entry.position);
+                    if (distance <= radius) callback(entry, distance);
+                }
+            }
+        }
+    }
+
+    addToCell(entry) {
+        if (!this.cells.has(entry.cell)) this.cells.set(entry.cell, new Set());
+        this.cells.get(entry.cell).add(entry);
+    }
+
+    removeFromCell(entry) {
+        const cell = this.cells.get(entry.cell);
+        cell.delete(entry);
+        if (cell.size === 0) this.cells.delete(entry.cell);
+    }
+
+    cellKey(x, z) {
+        return SpatialIndex.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    }
+
+    // One number per cell; good for maps up to 65536 cells across
+    static key(cellX, cellZ) {
+        return (cellX + 32768) * 65536 + (cellZ + 32768);
+    }
+}
@@ -0,0 +1,121 @@
+// statuseffects.js
+
+/**
+ * Timed conditions on an enemy: slow, burn, stun, shred and mark.
+ *
+ * Each kind in `KINDS` says how a new application combines with one already running:
+ *   - strongest  the larger magnitude wins and the duration restarts (slow, stun, mark)
+ *   - stack      every application adds a stack up to `maxStacks` and restarts the
+ *                duration; the magnitude is per stack (burn, shred)
+ * A kind with `immunity` can't be reapplied for that many ms after it wears off, so
+ * chained stuns can't lock an enemy down for good.
+ *
+ * Durations run on the simulation clock. The owner must have `game` and `takeDamage`.
+ */
+class StatusEffects {
+    static KINDS = {
+        slow: { stacking: 'strongest', maxMagnitude: 0.7, color: '#66ccff' }, // Share of speed removed
+        burn: { stacking: 'stack', maxStacks: 5, damageType: 'energy', color: '#ff6600' }, // Damage per second per stack
+        stun: { stacking: 'strongest', immunity: 1000, color: '#ffff66' }, // Can't move or act
+        shred: { stacking: 'stack', maxStacks: 4, color: '#cc9933' }, // Armor removed per stack
+        mark: { stacking: 'strongest', maxMagnitude: 1, color: '#ff3366' } // Extra share of damage taken
+    };
+
+    constructor(owner) {
+        this.owner = owner;
+        this.active = {}; // Kind -> { magnitude, stacks, until }
+        this.immuneUntil = {}; // Kind -> sim time the immunity ends
+    }
+
+    /**
+     * @param {string} kind Key of StatusEffects.KINDS
+     * @param {number} magnitude Meaning depends on the kind (see KINDS)
+     * @param {number} duration ms
+     * @param {number} now Simulation time in ms
+     * @returns {boolean} Whether the effect took hold
+     */
+    apply(kind, magnitude, duration, now) {
+        const rules = StatusEffects.KINDS[kind];
+        if ((this.immuneUntil[kind] || 0) > now) return false;
+        if (rules.maxMagnitude !== undefined) magnitude = Math.min(magnitude, rules.maxMagnitude);
+
+        const current = this.active[kind];
+        if (!current) {
+            this.active[kind] = { magnitude: magnitude, stacks: 1, until: now + duration };
+            this.changed();
+        } else if (rules.stacking === 'stack') {
+            current.stacks = Math.min(rules.maxStacks, current.stacks + 1);
+            current.magnitude = Math.max(current.magnitude, magnitude);
+            current.until = Math.max(current.until, now + duration);
+        } else {
+            current.magnitude = Math.max(current.magnitude, magnitude);
+            current.until = Math.max(current.until, now + duration);
+        }
+        return true;
+    }
+
+    has(kind) {
+        return this.active[kind] !== undefined;
+    }
+
+    /** Magnitude times stacks, or 0 when the effect isn't running */
+    total(kind) {
+        const effect = this.active[kind];
+        return effect ? effect.magnitude * effect.stacks : 0;
+    }
+
+    get stunned() {
+        return this.has('stun');
+    }
+
+    get speedMultiplier() {
+        return this.stunned ? 0 : 1 - this.total('slow');
+    }
+
+    get armorReduction() {
+        return this.total('shred');
+    }
+
+    get damageTakenMultiplier() {
+        return 1 + this.total('mark');
+    }
+
+    /**
+     * Deals damage over time and drops effects that have run out
+     */
+    update(dt, now) {
+        if (this.active.burn) {
+            this.owner.takeDamage(this.total('burn') * dt, StatusEffects.KINDS.burn.damageType);
+        }
+
+        let expired = false;
+        for (const kind in this.active) {
+            if (this.active[kind].until > now) continue;
+            delete this.active[kind];
+            const immunity = StatusEffects.KINDS[kind].immunity;
+            if (immunity) this.immuneUntil[kind] = now + immunity;
+            expired = true;
+        }
+        if (expired) this.changed();
+    }
+
+    changed() {
+        this.owner.game.updateStatusIndicator(this.owner);
+    }
+
+    /**
+     * Plain data for save games
+     */
+    serialize() {
+        const active = {};
+        for (const kind in this.active) active[kind] = Object.assign({}, this.active[kind]);
+        return { active: active, immuneUntil: Object.assign({}, this.immuneUntil) };
+    }
+
+    restore(saved) {
+        this.active = {};
+        for (const kind in saved.active) this.active[kind] = Object.assign({}, saved.active[kind]);
+        this.immuneUntil = Object.assign({}, saved.immuneUntil);
+        this.changed();
+    }
+}
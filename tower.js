@@ -0,0 +1,225 @@
+// tower.js
+
+/**
+ * A placed tower.
+ *
+ * Its stats are the `towerTypes` entry with every tier it has been upgraded through
+ * layered on top (see Tower.statsFor). `invested` counts every coin spent on it, so
+ * selling refunds a share of the build cost and all upgrades. The game checks and
+ * charges gold; a tower only changes itself.
+ *
+ * Enemy fire wears towers down (armor and resistances work as for enemies, see
+ * damage.js). Below `DAMAGED` and `CRITICAL` health the tower smokes and then burns;
+ * the game destroys it at zero and repairs it for gold between waves.
+ */
+class Tower {
+    static SELL_REFUND = 0.7; // Share of the invested gold returned on sale
+    static REPAIR_COST = 0.5; // Share of the invested gold a repair from zero health costs
+    static DAMAGED = 0.6; // Health fractions where the damaged visual states begin
+    static CRITICAL = 0.3;
+
+    // Which enemy in range to shoot. Each scores a candidate; the lowest score wins.
+    static TARGETING = {
+        first: (tower, enemy) => enemy.distanceToGoal, // Furthest along its route
+        last: (tower, enemy) => -enemy.distanceToGoal,
+        strongest: (tower, enemy) => -enemy.health,
+        weakest: (tower, enemy) => enemy.health,
+        closest: (tower, enemy) => BABYLON.Vector3.DistanceSquared(tower.base.position, enemy.position)
+    };
+
+    /**
+     * @param {TowerDefenseGame} game
+     * @param {string} type Key into game.towerTypes
+     * @param {BABYLON.AbstractMesh} mesh
+     */
+    constructor(game, type, mesh) {
+        this.game = game;
+        this.type = type;
+        this.definition = game.towerTypes[type];
+        this.base = mesh;
+        this.turret = mesh; // Assuming the whole model is the turret for now
+        this.baseScaling = mesh.scaling.clone();
+
+        this.tier = 0; // Upgrades applied so far
+        this.invested = this.definition.cost;
+        this.data = Tower.statsFor(this.definition, 0);
+        this.targeting = this.definition.targeting || 'closest';
+        this.lastFired = 0;
+        this.target = null;
+
+        this.maxHealth = this.data.health;
+        this.health = this.maxHealth;
+        this.armor = this.data.armor || 0;
+        this.resistances = this.data.resistances || {};
+        this.healthBar = null;
+        this.condition = 'intact'; // intact, damaged or critical
+        this.damageEffect = null; // Smoke or fire while damaged
+        this.applyTierVisuals(); // Some types are tinted from the start
+    }
+
+    /**
+     * Picks the enemy in range that best matches the targeting mode, or null
+     */
+    chooseTarget(enemies) {
+        const score = Tower.TARGETING[this.targeting];
+        let best = null;
+        let bestScore = Infinity;
+        for (let enemy of enemies) {
+            if (BABYLON.Vector3.Distance(this.base.position, enemy.position) >= this.data.range) continue;
+            const value = score(this, enemy);
+            if (value < bestScore) {
+                best = enemy;
+                bestScore = value;
+            }
+        }
+        return best;
+    }
+
+    cycleTargeting() {
+        const modes = Object.keys(Tower.TARGETING);
+        this.targeting = modes[(modes.indexOf(this.targeting) + 1) % modes.length];
+    }
+
+    /**
+     * Base stats with the first `tier` upgrades applied in order
+     */
+    static statsFor(definition, tier) {
+        const stats = Object.assign({}, definition);
+        delete stats.tiers;
+        (definition.tiers || []).slice(0, tier).forEach(upgrade => Object.assign(stats, upgrade));
+        return stats;
+    }
+
+    get maxTier() {
+        return (this.definition.tiers || []).length;
+    }
+
+    /** Definition of the next upgrade, or null at the top tier */
+    get nextTier() {
+        return this.tier < this.maxTier ? this.definition.tiers[this.tier] : null;
+    }
+
+    get upgradeCost() {
+        const next = this.nextTier;
+        return next ? next.cost : null;
+    }
+
+    get sellValue() {
+        return Math.floor(this.invested * Tower.SELL_REFUND);
+    }
+
+    upgrade() {
+        const next = this.nextTier;
+        if (!next) return;
+        this.invested += next.cost;
+        this.setTier(this.tier + 1);
+    }
+
+    setTier(tier) {
+        this.tier = Math.min(tier, this.maxTier);
+        this.data = Tower.statsFor(this.definition, this.tier);
+
+        // Upgrades add health on top; they don't repair existing damage
+        const missing = this.maxHealth - this.health;
+        this.maxHealth = this.data.health;
+        this.health = this.maxHealth - missing;
+        this.armor = this.data.armor || 0;
+        this.resistances = this.data.resistances || {};
+
+        this.applyTierVisuals();
+        this.updateCondition();
+    }
+
+    /**
+     * Applies a hit and returns what it did ({ dealt, blocked, type, killed })
+     */
+    takeDamage(amount, type) {
+        const hit = Damage.apply(this, amount, type);
+        this.updateCondition();
+        return hit;
+    }
+
+    /** Gold to restore full health, proportional to the missing share */
+    get repairCost() {
+        const missing = 1 - Math.max(0, this.health) / this.maxHealth;
+        return Math.ceil(this.invested * Tower.REPAIR_COST * missing);
+    }
+
+    repair() {
+        this.health = this.maxHealth;
+        this.updateCondition();
+    }
+
+    heal(amount) {
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.updateCondition();
+    }
+
+    /**
+     * Shows the health bar only while damaged and switches smoke / fire on state changes
+     */
+    updateCondition() {
+        const healthPercent = Math.max(0, this.health) / this.maxHealth;
+        if (this.healthBar) {
+            this.healthBar.isVisible = healthPercent < 1;
+            this.game.setHealthBar(this.healthBar, healthPercent);
+        }
+
+        const condition = healthPercent < Tower.CRITICAL ? 'critical'
+            : healthPercent < Tower.DAMAGED ? 'damaged'
+            : 'intact';
+        if (condition === this.condition) return;
+        this.condition = condition;
+
+        if (this.damageEffect) this.damageEffect.dispose();
+        this.damageEffect = this.game.createTowerDamageParticles(this, condition);
+    }
+
+    /**
+     * Higher tiers are larger and glow in the tier's tint
+     */
+    applyTierVisuals() {
+        this.base.scaling.copyFrom(this.baseScaling).scaleInPlace(this.data.scale || 1);
+
+        if (!this.data.tint) return;
+        const glow = BABYLON.Color3.FromHexString(this.data.tint).scale(0.4);
+        [this.base, ...this.base.getChildMeshes()].forEach(mesh => {
+            if (mesh.material && mesh.material.emissiveColor) {
+                mesh.material.emissiveColor = glow;
+            }
+        });
+    }
+
+    /**
+     * Plain data for save games
+     */
+    serialize() {
+        return {
+            type: this.type,
+            position: this.base.position.asArray(),
+            tier: this.tier,
+            invested: this.invested,
+            targeting: this.targeting,
+            lastFired: this.lastFired,
+            health: this.health
+        };
+    }
+
+    static async restore(game, saved) {
+        const tower = await game.createTower(BABYLON.Vector3.FromArray(saved.position), saved.type);
+        tower.setTier(saved.tier || 0);
+        tower.invested = saved.invested || tower.invested;
+        tower.targeting = saved.targeting || tower.targeting;
+        tower.lastFired = saved.lastFired;
+        if (saved.health !== undefined) tower.health = saved.health;
+        tower.updateCondition();
+        return tower;
+    }
+
+    dispose() {
+        if (this.damageEffect) this.damageEffect.dispose();
+        this.game.spatial.remove(this);
+        this.game.releaseHealthBar(this);
+        this.base.dispose();
+    }
+}
@@ -0,0 +1,214 @@
+// waves.js
+
+/**
+ * Thrown when a wave file is malformed. `problems` lists every issue found, each
+ * prefixed with where it is, e.g. "waves[2].groups[0].count: must be a positive integer".
+ */
+class WaveDefinitionError extends Error {
+    constructor(source, problems) {
+        super(`Invalid wave definitions in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'WaveDefinitionError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * A validated list of wave definitions (see assets/waves/campaign.json).
+ *
+ * Wave file format:
+ *   {
+ *     "name": "Campaign name",
+ *     "waves": [{
+ *       "groups": [{ "enemy": "drone", "count": 5, "interval": 2, "delay": 0, "entryPoints": [0, 1] }],
+ *       "modifiers": { "extraHealth": 20, "healthMultiplier": 1.2 },
+ *       "bonusGold": 35
+ *     }]
+ *   }
+ *
+ * A group spawns `count` enemies of one type, `interval` seconds apart, starting `delay`
+ * seconds into the wave, each from one of the listed entry points (all when omitted).
+ * Enemy stats become (base + extra) * multiplier for health, speed and reward;
+ * fireRateMultiplier makes enemies shoot that many times as often and extraArmor adds
+ * to their armor.
+ */
+class WaveCampaign {
+    static MODIFIER_DEFAULTS = {
+        extraHealth: 0,
+        extraSpeed: 0,
+        extraReward: 0,
+        extraArmor: 0,
+        healthMultiplier: 1,
+        speedMultiplier: 1,
+        rewardMultiplier: 1,
+        fireRateMultiplier: 1
+    };
+
+    /**
+     * @param {Object} data Parsed wave file
+     * @param {Object} options { enemyTypes, entryPointCount, source }
+     */
+    constructor(data, options) {
+        this.source = options.source || 'wave definitions';
+        const problems = WaveCampaign.validate(data, options.enemyTypes, options.entryPointCount);
+        if (problems.length > 0) {
+            throw new WaveDefinitionError(this.source, problems);
+        }
+
+        this.name = data.name || 'Campaign';
+        this.waves = data.waves.map(wave => WaveCampaign.normalizeWave(wave, options.entryPointCount));
+    }
+
+    /**
+     * Fetches and validates a wave file (browser)
+     */
+    static async load(url, options) {
+        let data;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = JSON.parse(await response.text());
+        } catch (error) {
+            throw new WaveDefinitionError(url, [`could not be loaded: ${error.message}`]);
+        }
+        return new WaveCampaign(data, Object.assign({ source: url }, options));
+    }
+
+    get length() {
+        return this.waves.length;
+    }
+
+    /** Wave definition for a 1-based wave number, or null past the end */
+    getWave(number) {
+        return this.waves[number - 1] || null;
+    }
+
+    /**
+     * Expands a wave into individual spawns sorted by time
+     * @param {number} number 1-based wave number
+     * @param {SeededRandom} random Gameplay stream used to pick entry points
+     * @returns {Array<{at: number, enemy: string, entryPoint: number}>} `at` is seconds into the wave
+     */
+    buildSpawnSchedule(number, random) {
+        const wave = this.getWave(number);
+        return wave ? WaveCampaign.scheduleWave(wave, random) : [];
+    }
+
+    /**
+     * Spawns of one normalized wave (see normalizeWave), sorted by time
+     */
+    static scheduleWave(wave, random) {
+        const spawns = [];
+        wave.groups.forEach(group => {
+            for (let i = 0; i < group.count; i++) {
+                spawns.push({
+                    at: group.delay + i * group.interval,
+                    enemy: group.enemy,
+                    entryPoint: random.pick(group.entryPoints)
+                });
+            }
+        });
+        // Stable sort keeps group order for simultaneous spawns
+        return spawns.sort((a, b) => a.at - b.at);
+    }
+
+    static normalizeWave(wave, entryPointCount) {
+        const allEntryPoints = Array.from({ length: entryPointCount }, (_, i) => i);
+        return {
+            groups: wave.groups.map(group => ({
+                enemy: group.enemy,
+                count: group.count,
+                interval: group.interval !== undefined ? group.interval : 2,
+                delay: group.delay || 0,
+                entryPoints: group.entryPoints ? group.entryPoints.slice() : allEntryPoints
+            })),
+            modifiers: Object.assign({}, WaveCampaign.MODIFIER_DEFAULTS, wave.modifiers),
+            bonusGold: wave.bonusGold || 0
+        };
+    }
+
+    /**
+     * Collects every problem in a wave file instead of stopping at the first
+     * @returns {string[]} Empty when the data is valid
+     */
+    static validate(data, enemyTypes, entryPointCount) {
+        const problems = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!isObject(data)) {
+            return ['root: must be an object with a "waves" array'];
+        }
+        if (!Array.isArray(data.waves) || data.waves.length === 0) {
+            return ['waves: must be a non-empty array'];
+        }
+
+        data.waves.forEach((wave, w) => {
+            const at = `waves[${w}]`;
+            if (!isObject(wave)) {
+                problems.push(`${at}: must be an object`);
+                return;
+            }
+
+            if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+                problems.push(`${at}.groups: must be a non-empty array`);
+            } else {
+                wave.groups.forEach((group, g) => {
+                    const groupAt = `${at}.groups[${g}]`;
+                    if (!isObject(group)) {
+                        problems.push(`${groupAt}: must be an object`);
+                        return;
+                    }
+                    if (!Object.prototype.hasOwnProperty.call(enemyTypes, group.enemy)) {
+                        problems.push(`${groupAt}.enemy: unknown enemy type "${group.enemy}" (known: ${Object.keys(enemyTypes).join(', ')})`);
+                    }
+                    if (!Number.isInteger(group.count) || group.count <= 0) {
+                        problems.push(`${groupAt}.count: must be a positive integer`);
+                    }
+                    if (group.interval !== undefined && (!isNumber(group.interval) || group.interval < 0)) {
+                        problems.push(`${groupAt}.interval: must be a number of seconds >= 0`);
+                    }
+                    if (group.delay !== undefined && (!isNumber(group.delay) || group.delay < 0)) {
+                        problems.push(`${groupAt}.delay: must be a number of seconds >= 0`);
+                    }
+                    if (group.entryPoints !== undefined) {
+                        if (!Array.isArray(group.entryPoints) || group.entryPoints.length === 0) {
+                            problems.push(`${groupAt}.entryPoints: must be a non-empty array of entry point indices`);
+                        } else {
+                            group.entryPoints.forEach(index => {
+                                if (!Number.isInteger(index) || index < 0 || index >= entryPointCount) {
+                                    problems.push(`${groupAt}.entryPoints: ${JSON.stringify(index)} is not an entry point (0-${entryPointCount - 1})`);
+                                }
+                            });
+                        }
+                    }
+                });
+            }
+
+            if (wave.modifiers !== undefined) {
+                if (!isObject(wave.modifiers)) {
+                    problems.push(`${at}.modifiers: must be an object`);
+                } else {
+                    Object.keys(wave.modifiers).forEach(key => {
+                        const value = wave.modifiers[key];
+                        if (!Object.prototype.hasOwnProperty.call(WaveCampaign.MODIFIER_DEFAULTS, key)) {
+                            problems.push(`${at}.modifiers.${key}: unknown modifier (known: ${Object.keys(WaveCampaign.MODIFIER_DEFAULTS).join(', ')})`);
+                        } else if (!isNumber(value)) {
+                            problems.push(`${at}.modifiers.${key}: must be a number`);
+                        } else if (key.endsWith('Multiplier') && value <= 0) {
+                            problems.push(`${at}.modifiers.${key}: must be greater than 0`);
+                        }
+                    });
+                }
+            }
+
+            if (wave.bonusGold !== undefined && (!isNumber(wave.bonusGold) || wave.bonusGold < 0)) {
+                problems.push(`${at}.bonusGold: must be a number >= 0`);
+            }
+        });
+
+        return problems;
+    }
+}
@@ -1,61 +1,15 @@
 class WeatherSystem {
-    constructor(scene) {
+    constructor(scene, particles) {
         this.scene = scene;
-        this.rainParticleSystem = null;
+        this.particles = particles; // ParticleEffects, for the rain
+        this.rainParticleSystem = null; // Running while it rains
         this.lightningLight = null;
         this.isRaining = false;
         this.lightningInterval = null;
 
-        this.initRain();
         this.initLightning();
     }
 
-    initRain() {
-        // Create a particle system for rain
-        this.rainParticleSystem = new BABYLON.ParticleSystem("rain", 5000, this.scene); // Increased capacity
-        this.rainParticleSystem.particleTexture = new BABYLON.Texture("https://www.babylonjs-playground.com/textures/flare.png", this.scene);
-
-        // Emitter at the top of the scene
-        this.rainParticleSystem.emitter = new BABYLON.Vector3(0, 100, 0); // Y-position high above the scene
-        this.rainParticleSystem.minEmitBox = new BABYLON.Vector3(-200, 0, -200); // Area of rain
-        this.rainParticleSystem.maxEmitBox = new BABYLON.Vector3(200, 0, 200);
-
-        // Colors of all particles
-        this.rainParticleSystem.color1 = new BABYLON.Color4(0.7, 0.8, 1.0, 0.8); // Slightly transparent
-        this.rainParticleSystem.color2 = new BABYLON.Color4(0.2, 0.2, 0.5, 0.8); // Slightly transparent
-        this.rainParticleSystem.colorDead = new BABYLON.Color4(0, 0, 0.2, 0.0);
-
-        // Size of each particle (random between...) 
-        this.rainParticleSystem.minSize = 0.2;
-        this.rainParticleSystem.maxSize = 0.5;
-
-        // Life time of each particle (random between...) 
-        this.rainParticleSystem.minLifeTime = 1.0;
-        this.rainParticleSystem.maxLifeTime = 2.0;
-
-        // Emission rate
-        this.rainParticleSystem.emitRate = 8000; // Increased for denser rain
-
-        // Blend mode : BLENDMODE_ONEONE, or BLENDMODE_STANDARD
-        this.rainParticleSystem.blendMode = BABYLON.ParticleSystem.BLENDMODE_STANDARD; // Changed to standard for better blending
-
-        // Set the gravity of all particles
-        this.rainParticleSystem.gravity = new BABYLON.Vector3(0, -30, 0); // Increased gravity for faster fall
-
-        // Direction of each particle (random between...) 
-        this.rainParticleSystem.direction1 = new BABYLON.Vector3(0, -1, 0); // Straight down
-        this.rainParticleSystem.direction2 = new BABYLON.Vector3(0, -1, 0); // Straight down
-
-        // Angular speed, in radians
-        this.rainParticleSystem.minAngularSpeed = 0;
-        this.rainParticleSystem.maxAngularSpeed = 0;
-
-        // Speed
-        this.rainParticleSystem.minEmitPower = 20; // Increased speed
-        this.rainParticleSystem.maxEmitPower = 35; // Increased speed
-        this.rainParticleSystem.updateSpeed = 0.05; // Increased update speed
-    }
-
     initLightning() {
         this.lightningLight = new BABYLON.PointLight("lightningLight", new BABYLON.Vector3(0, 0, 0), this.scene);
         this.lightningLight.intensity = 0; // Start off
@@ -65,7 +19,7 @@ class WeatherSystem {
 
     startRain() {
         if (!this.isRaining) {
-            this.rainParticleSystem.start();
+            this.rainParticleSystem = this.particles.spawn('rain', new BABYLON.Vector3(0, 100, 0)); // High above the scene
             this.isRaining = true;
             console.log("🌧️ Rain started.");
         }
@@ -73,7 +27,8 @@ class WeatherSystem {
 
     stopRain() {
         if (this.isRaining) {
-            this.rainParticleSystem.stop();
+            if (this.rainParticleSystem) this.rainParticleSystem.stop(); // Disposed once the last drops land
+            this.rainParticleSystem = null;
             this.isRaining = false;
             console.log("☀️ Rain stopped.");
         }